@@ -26,14 +26,15 @@
  * GUIDELINES FOR FUTURE DEVELOPMENT:
  *
  * 1. ADDING NEW OPERATION TYPES:
- *    - Add new operation button in HTML
  *    - Create new problem generator function
- *    - Add difficulty settings to difficultySettings object
- *    - Add case to the generateProblemByMode switch statement
+ *    - Call registerProblemType with its id, generator, difficulty settings,
+ *      label translation key and color
+ *    - The operation button, mixed mode and results screen pick it up
+ *      from the registry automatically
  *
  * 2. EXTENDING DIFFICULTY LEVELS:
  *    - Add new difficulty option in HTML
- *    - Add new difficulty settings to each operation in difficultySettings
+ *    - Add new difficulty settings to each registered problem type's difficulties
  *    - Update getRandomDifficulty if needed for mixed mode
  *
  * 3. ADDING NEW FEATURES:
@@ -52,9 +53,20 @@ import {
   updateScore,
   recordIncorrectProblem,
   getUniqueIncorrectProblems,
+  groupProblemsByFactFamily,
   calculateAccuracy,
   updateGameMode,
   updateDifficulty,
+  updateUnknownPosition,
+  updateRunningCount,
+  updateAnswerMode,
+  toggleCountedObject,
+  hideProblemVisual,
+  startWorkedSolution,
+  nextWorkedStep,
+  updateRegrouping,
+  updateMixWeights,
+  recordModeResult,
   hasReachedMaxAttempts,
 } from '/src/gameState.js';
 
@@ -66,9 +78,41 @@ import {
   t,
 } from '/src/i18n.js';
 
-import { generateProblemByMode, updateCurrentProblem } from '/src/problemGenerator.js';
+import {
+  generateProblemByMode,
+  updateCurrentProblem,
+  generateSimilarProblem,
+  resolveMixWeights,
+  createFactFamilyProblems,
+} from '/src/problemGenerator.js';
+
+import {
+  getProblemType,
+  getProblemTypes,
+  getDifficultySettings,
+  isRegroupingAvailable,
+} from '/src/problemRegistry.js';
+
+import { renderProblem, renderVisualHint, hasInlineUnknown } from '/src/problemRenderer.js';
+
+import { createSchedulerState, scheduleProblem, recordProblem } from '/src/problemScheduler.js';
+
+import { getAnswerInput, parseAnswer, isCorrectAnswer, formatAnswer } from '/src/answerChecker.js';
+
+import {
+  loadMixPresets,
+  saveMixPreset,
+  deleteMixPreset,
+  sanitizeMixWeights,
+} from '/src/mixPresets.js';
+
+import { getRandomDifficulty, formatTime, createRandom, generateSeed } from '/src/utils.js';
+
+import { getCoinSetForLanguage } from '/src/coins.js';
+
+import { getHint, getVisualHint, getWorkedSolution } from '/src/hints.js';
 
-import { getRandomDifficulty, formatTime } from '/src/utils.js';
+import { getAnswerChoices, supportsAnswerChoices } from '/src/answerChoices.js';
 
 // Application constants
 const GAME_DURATION = 180; // 3 minutes in seconds
@@ -90,6 +134,24 @@ document.addEventListener('DOMContentLoaded', function () {
   gameState.gameMode = DEFAULT_GAME_MODE;
   gameState.difficulty = DEFAULT_DIFFICULTY;
 
+  // Random number source for the current session, seeded from gameState.seed
+  // so the same seed always produces the same problem sequence
+  let sessionRandom = Math.random;
+
+  // Random number source for the order of multiple-choice answers, kept apart from
+  // sessionRandom so a seed gives the same problems whichever way they are answered
+  let choiceRandom = Math.random;
+
+  // Random number source for "try a similar one" follow-ups, also kept apart from
+  // sessionRandom: whether a problem is missed must not change the problems after it
+  let followUpRandom = Math.random;
+
+  // Facts served so far this session, used to avoid repeating problems
+  let schedulerState = createSchedulerState();
+
+  // Pending hide of a flashed problem visual (see startFlash)
+  let flashTimeout = null;
+
   // ===================================
   // DOM ELEMENTS
   // ===================================
@@ -99,14 +161,19 @@ document.addEventListener('DOMContentLoaded', function () {
   const elements = {
     // Problem and answer elements
     problem: document.getElementById('problem'),
+    visualHint: document.getElementById('visual-hint'),
+    workedSolution: document.getElementById('worked-solution'),
+    workedSteps: document.getElementById('worked-steps'),
+    workedNext: document.getElementById('worked-next'),
     answerDisplay: document.getElementById('answer-display'),
     check: document.getElementById('check'),
     message: document.getElementById('message'),
     score: document.getElementById('score'),
     incorrect: document.getElementById('incorrect'),
 
-    // Operation buttons
-    operationButtons: document.querySelectorAll('.operation-btn'),
+    // Operation buttons (rendered from the problem registry in init)
+    operationButtonContainer: document.querySelector('.buttons'),
+    operationButtons: [],
 
     // Timer and game controls
     timer: document.getElementById('timer'),
@@ -117,11 +184,36 @@ document.addEventListener('DOMContentLoaded', function () {
     difficultyDisplay: document.getElementById('current-difficulty-display'),
     modeDisplay: document.getElementById('current-mode-display'),
     difficultyButtons: document.querySelectorAll('.difficulty-btn'),
+    regroupingContainer: document.getElementById('regrouping-buttons'),
+    regroupingButtons: document.querySelectorAll('.regrouping-btn'),
+
+    // Problem options
+    unknownPositionToggle: document.getElementById('unknown-position-toggle'),
+    runningCountToggle: document.getElementById('running-count-toggle'),
+    multipleChoiceToggle: document.getElementById('multiple-choice-toggle'),
+    seedInput: document.getElementById('seed-input'),
+
+    // Mixed mode weighting (weight inputs are rendered from the problem registry in init)
+    mixSettings: document.getElementById('mix-settings'),
+    mixTitle: document.getElementById('mix-title'),
+    mixWeightContainer: document.getElementById('mix-weights'),
+    mixWeightInputs: [],
+    mixPresetSelect: document.getElementById('mix-preset-select'),
+    mixPresetName: document.getElementById('mix-preset-name'),
+    mixPresetSave: document.getElementById('mix-preset-save'),
+    mixPresetDelete: document.getElementById('mix-preset-delete'),
 
     // Number buttons
     numberButtons: document.querySelectorAll('.num-btn'),
     clearButton: document.getElementById('clear-btn'),
 
+    // Answer pads (one per answer input type) and their one-tap answer buttons
+    answerPads: document.querySelectorAll('.answer-pad'),
+    answerButtons: document.querySelectorAll('.answer-pad [data-answer]'),
+    choicePad: document.querySelector('.choice-pad'),
+    // Keys shown only for some of the inputs their pad accepts (e.g. the colon for times)
+    answerPadKeys: document.querySelectorAll('.answer-pad [data-input]'),
+
     // Language selector
     languageSelector: document.getElementById('language-selector'),
   };
@@ -141,42 +233,6 @@ document.addEventListener('DOMContentLoaded', function () {
     return el;
   }
 
-  // ===================================
-  // DIFFICULTY SETTINGS
-  // ===================================
-  // Configuration object for all difficulty levels by operation
-  // To add a new operation type or difficulty level:
-  // 1. Add a new entry to this object
-  // 2. Define appropriate min/max values based on grade level
-  // 3. Consider educational progression in your number ranges
-  const difficultySettings = {
-    addition: {
-      easy: { min1: 1, max1: 10, min2: 1, max2: 10 },
-      medium: { min1: 1, max1: 20, min2: 1, max2: 20 },
-      hard: { min1: 10, max1: 50, min2: 10, max2: 50 },
-    },
-    subtraction: {
-      easy: { min1: 1, max1: 10, min2: 1, max2: 10 },
-      medium: { min1: 10, max1: 20, min2: 1, max2: 10 },
-      hard: { min1: 20, max1: 100, min2: 1, max2: 20 },
-    },
-    threeNumber: {
-      easy: { min1: 1, max1: 10, min2: 1, max2: 5, min3: 1, max3: 5 },
-      medium: { min1: 5, max1: 15, min2: 1, max2: 10, min3: 1, max3: 10 },
-      hard: { min1: 10, max1: 25, min2: 5, max2: 15, min3: 5, max3: 15 },
-    },
-    mixed: {
-      easy: { min1: 1, max1: 10, min2: 1, max2: 10 },
-      medium: { min1: 1, max1: 20, min2: 1, max2: 20 },
-      hard: { min1: 10, max1: 50, min2: 1, max2: 25 },
-    },
-    counting: {
-      easy: { min: 5, max: 10 },
-      medium: { min: 10, max: 20 },
-      hard: { min: 15, max: 30 },
-    },
-  };
-
   // ===================================
   // INITIALIZATION
   // ===================================
@@ -188,6 +244,10 @@ document.addEventListener('DOMContentLoaded', function () {
    * Sets up UI, language support, and event listeners
    */
   function init() {
+    // Build operation buttons and mix weight inputs from the registered problem types
+    renderOperationButtons();
+    renderMixWeightInputs();
+
     // Initialize language system
     initLanguage();
     initializeLanguageSelector();
@@ -199,10 +259,7 @@ document.addEventListener('DOMContentLoaded', function () {
     elements.problem.innerHTML = `<p class="waiting-message">${t(
       'app.gameplay.waitingMessage'
     )}</p>`;
-    if (elements.modeDisplay) {
-      elements.modeDisplay.textContent = t('app.operations.mixed');
-      elements.modeDisplay.style.backgroundColor = '#a29bfe'; // Mixed mode color
-    }
+    updateModeDisplay(DEFAULT_GAME_MODE);
     if (elements.difficultyDisplay) {
       elements.difficultyDisplay.textContent = t('app.difficulty.medium');
       elements.difficultyDisplay.style.backgroundColor = '#0984e3';
@@ -210,6 +267,17 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Update active buttons
     updateDefaultActiveButtons();
+    updateUnknownPositionToggle();
+    updateRunningCountToggle();
+    updateMultipleChoiceToggle();
+    updateRegroupingButtons();
+    updateMixSettings();
+
+    // Pre-fill a shared challenge seed from the URL (e.g. ?seed=123456)
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed && elements.seedInput) {
+      elements.seedInput.value = urlSeed;
+    }
 
     // Initialize UI state
 
@@ -225,12 +293,82 @@ document.addEventListener('DOMContentLoaded', function () {
     // Initialization complete
   }
 
+  /**
+   * Create one operation button per registered problem type
+   */
+  function renderOperationButtons() {
+    const fragment = document.createDocumentFragment();
+
+    getProblemTypes().forEach(problemType => {
+      const button = document.createElement('button');
+      button.id = problemType.id;
+      button.className = 'operation-btn inactive';
+      button.style.setProperty('--mode-color', problemType.color);
+      button.textContent = getProblemTypeLabel(problemType);
+      fragment.appendChild(button);
+    });
+
+    // Keep the locked-mode message after the buttons
+    elements.operationButtonContainer.prepend(fragment);
+    elements.operationButtons =
+      elements.operationButtonContainer.querySelectorAll('.operation-btn');
+  }
+
+  /**
+   * Create one weight input per problem type mixed mode can pick from
+   */
+  function renderMixWeightInputs() {
+    if (!elements.mixWeightContainer) {
+      return;
+    }
+
+    getProblemTypes()
+      .filter(problemType => problemType.id !== 'mixed')
+      .forEach(problemType => {
+        const row = document.createElement('label');
+        row.className = 'mix-weight';
+
+        const name = document.createElement('span');
+        name.className = 'mix-weight-name';
+        name.textContent = getProblemTypeLabel(problemType);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.max = '100';
+        input.step = '5';
+        input.dataset.mode = problemType.id;
+
+        const share = document.createElement('span');
+        share.className = 'mix-share';
+
+        row.append(name, input, share);
+        elements.mixWeightContainer.appendChild(row);
+      });
+
+    elements.mixWeightInputs = elements.mixWeightContainer.querySelectorAll('input');
+  }
+
+  /**
+   * Get the display name of a problem type in the current language
+   * @param {Object} problemType - Registered problem type
+   * @return {string} Translated label
+   */
+  function getProblemTypeLabel(problemType) {
+    const label = t(problemType.labelKey);
+    // Fall back to the plain label for types that ship without translations
+    if (label === problemType.labelKey && problemType.label) {
+      return problemType.label;
+    }
+    return label;
+  }
+
   function updateDefaultActiveButtons() {
     // Set Mixed as active operation
     elements.operationButtons.forEach(btn => {
       btn.classList.remove('active');
       btn.classList.add('inactive');
-      if (btn.id === 'mixed') {
+      if (btn.id === DEFAULT_GAME_MODE) {
         btn.classList.remove('inactive');
         btn.classList.add('active');
       }
@@ -290,17 +428,10 @@ document.addEventListener('DOMContentLoaded', function () {
     if (elements.check) elements.check.textContent = t('app.buttons.check');
 
     // Update operation button texts
-    const operationTexts = {
-      addition: t('app.operations.addition'),
-      subtraction: t('app.operations.subtraction'),
-      threeNumber: t('app.operations.threeNumber'),
-      mixed: t('app.operations.mixed'),
-      counting: t('app.operations.counting'),
-    };
-
     elements.operationButtons.forEach(btn => {
-      if (operationTexts[btn.id]) {
-        btn.textContent = operationTexts[btn.id];
+      const problemType = getProblemType(btn.id);
+      if (problemType) {
+        btn.textContent = getProblemTypeLabel(problemType);
       }
     });
 
@@ -318,22 +449,57 @@ document.addEventListener('DOMContentLoaded', function () {
       }
     });
 
+    // Update problem option texts
+    if (elements.unknownPositionToggle) {
+      elements.unknownPositionToggle.textContent = t('app.options.unknownAnywhere');
+    }
+    if (elements.runningCountToggle) {
+      elements.runningCountToggle.textContent = t('app.options.runningCount');
+    }
+    if (elements.multipleChoiceToggle) {
+      elements.multipleChoiceToggle.textContent = t('app.options.multipleChoice');
+    }
+    if (elements.seedInput) {
+      elements.seedInput.placeholder = t('app.options.seedPlaceholder');
+      elements.seedInput.setAttribute('aria-label', t('app.options.seed'));
+    }
+
+    // Update answer pad texts (the answer symbol stays, the word is translated)
+    elements.answerButtons.forEach(btn => {
+      if (btn.dataset.labelKey) {
+        btn.textContent = `${btn.dataset.answer} ${t(btn.dataset.labelKey)}`;
+      }
+    });
+
+    // Update regrouping sub-level texts
+    elements.regroupingButtons.forEach(btn => {
+      btn.textContent = t(`app.regrouping.${btn.dataset.regrouping}`);
+    });
+
+    // Update mixed mode weighting texts
+    updateMixSettingsText();
+
     // Update difficulty label
     const difficultyLabel = document.querySelector('.difficulty-container p');
     if (difficultyLabel) {
       difficultyLabel.textContent = t('app.difficulty.label');
     }
 
-    // Update waiting message if game is not active
+    // Update waiting message if game is not active,
+    // otherwise re-render the current problem so its prompt follows the language
     if (!gameState.gameActive) {
       elements.problem.innerHTML = `<p class="waiting-message">${t(
         'app.gameplay.waitingMessage'
       )}</p>`;
+    } else {
+      renderCurrentProblem();
     }
+    updateVisualHint();
+    updateWorkedSolution();
 
     // Update mode and difficulty displays
     if (elements.modeDisplay && gameState.gameMode) {
-      elements.modeDisplay.textContent = t(`app.operations.${gameState.gameMode}`);
+      updateModeDisplay(gameState.gameMode);
     }
     if (elements.difficultyDisplay && gameState.difficulty) {
       const difficultyKey =
@@ -358,6 +524,46 @@ document.addEventListener('DOMContentLoaded', function () {
       button.addEventListener('click', handleDifficultyButtonClick);
     });
 
+    // Regrouping sub-level buttons
+    elements.regroupingButtons.forEach(button => {
+      button.addEventListener('click', handleRegroupingButtonClick);
+    });
+
+    // Problem options
+    if (elements.unknownPositionToggle) {
+      elements.unknownPositionToggle.addEventListener('click', handleUnknownPositionToggleClick);
+    }
+    if (elements.runningCountToggle) {
+      elements.runningCountToggle.addEventListener('click', handleRunningCountToggleClick);
+    }
+    if (elements.multipleChoiceToggle) {
+      elements.multipleChoiceToggle.addEventListener('click', handleMultipleChoiceToggleClick);
+    }
+
+    // Worked solutions advance one step per tap, anywhere on the panel
+    if (elements.workedSolution) {
+      elements.workedSolution.addEventListener('click', handleWorkedSolutionClick);
+    }
+
+    // Counting objects are redrawn with every tap, so listen on the problem
+    elements.problem.addEventListener('click', e => {
+      const object = e.target.closest('.object[data-index]');
+      if (object && gameState.gameActive) {
+        gameState = toggleCountedObject(gameState, Number(object.dataset.index));
+        renderCurrentProblem();
+      }
+    });
+
+    // Mixed mode weighting and presets
+    elements.mixWeightInputs.forEach(input => {
+      input.addEventListener('input', handleMixWeightInput);
+    });
+    if (elements.mixPresetSelect) {
+      elements.mixPresetSelect.addEventListener('change', handleMixPresetChange);
+      elements.mixPresetSave.addEventListener('click', handleMixPresetSave);
+      elements.mixPresetDelete.addEventListener('click', handleMixPresetDelete);
+    }
+
     // Number pad
     elements.numberButtons.forEach(button => {
       button.addEventListener('click', () => {
@@ -367,6 +573,25 @@ document.addEventListener('DOMContentLoaded', function () {
       });
     });
 
+    // One-tap answers (e.g. <, = and >) replace the current answer
+    elements.answerButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        elements.answerDisplay.textContent = button.dataset.answer;
+        checkInputValue();
+      });
+    });
+
+    // Choice buttons change with every problem, so listen on the pad
+    if (elements.choicePad) {
+      elements.choicePad.addEventListener('click', e => {
+        const button = e.target.closest('[data-answer]');
+        if (button && !button.disabled) {
+          elements.answerDisplay.textContent = button.dataset.answer;
+          checkInputValue();
+        }
+      });
+    }
+
     // Clear button
     if (elements.clearButton) {
       elements.clearButton.addEventListener('click', () => {
@@ -390,15 +615,14 @@ document.addEventListener('DOMContentLoaded', function () {
   // Functions for creating math problems of different types
   // Follow this pattern when adding new operation types:
   // 1. Create a new generator function
-  // 2. Add to the generateProblemByMode switch statement
+  // 2. Register it with registerProblemType (see src/problemRegistry.js)
   // 3. Ensure consistent problem object structure
 
-  // Debug logging removed for production
-
   /**
    * Generate and display a new math problem
+   * @param {Object} [similarTo] - Problem to follow up with a similar one (after a worked solution)
    */
-  function newProblem() {
+  function newProblem(similarTo) {
     // Ensure gameActive is true when generating a new problem
     if (!gameState.gameActive) {
       gameState.gameActive = true;
@@ -421,14 +645,54 @@ document.addEventListener('DOMContentLoaded', function () {
     // Disable check button until an answer is entered
     elements.check.disabled = true;
 
+    // Follow-ups draw from their own stream so the seeded sequence stays the same
+    const random = similarTo ? followUpRandom : sessionRandom;
+
     // For mixed difficulty, randomly choose medium or hard
     let activeDifficulty = gameState.difficulty;
     if (gameState.difficulty === 'mixed-difficulty') {
-      activeDifficulty = getRandomDifficulty();
+      activeDifficulty = getRandomDifficulty(random);
     }
 
-    // Generate problem using the appropriate generator
-    const problem = generateProblemByMode(activeDifficulty, difficultySettings, gameState.gameMode);
+    // Only modes that offer the option honour the unknown position setting
+    const options = { random };
+    if (supportsUnknownPosition(gameState.gameMode)) {
+      options.unknownPosition = gameState.unknownPosition;
+    }
+    if (supportsRegrouping(gameState.gameMode)) {
+      options.regrouping = gameState.regrouping;
+    }
+    if (gameState.gameMode === 'mixed' && gameState.mixWeights) {
+      options.mixWeights = gameState.mixWeights;
+    }
+    // Money problems use the coins of the selected language
+    options.coinSet = getCoinSetForLanguage(getCurrentLanguage());
+
+    // Generate problem using the generator registered for the mode,
+    // letting the scheduler skip facts already served this session.
+    // A follow-up bypasses the scheduler, so queued facts still come next,
+    // but is recorded so its fact is not served again right after.
+    let problem;
+    if (similarTo) {
+      problem = generateSimilarProblem(
+        similarTo,
+        activeDifficulty,
+        getDifficultySettings(),
+        options
+      );
+      schedulerState = recordProblem(schedulerState, problem);
+    } else {
+      const scheduled = scheduleProblem(schedulerState, () =>
+        generateProblemByMode(
+          activeDifficulty,
+          getDifficultySettings(),
+          gameState.gameMode,
+          options
+        )
+      );
+      problem = scheduled.problem;
+      schedulerState = scheduled.schedulerState;
+    }
 
     // Update the game state with the new problem
     gameState = updateCurrentProblem(gameState, problem);
@@ -436,8 +700,14 @@ document.addEventListener('DOMContentLoaded', function () {
     // Preserve gameActive status after updateCurrentProblem
     gameState.gameActive = true;
 
-    // Display problem and add debug information to DOM
-    elements.problem.innerHTML = gameState.currentProblem.question;
+    // Display problem with the answer pad it needs
+    renderCurrentProblem();
+    updateChoiceButtons(gameState.currentProblem);
+    showAnswerPad(getShownAnswerInput(gameState.currentProblem));
+    setAnswerPadEnabled(true);
+    startFlash(gameState.currentProblem);
+    updateVisualHint();
+    updateWorkedSolution();
 
     // Problem display complete
   }
@@ -449,48 +719,122 @@ document.addEventListener('DOMContentLoaded', function () {
   // Handles both correct and incorrect responses
   // To add new response behaviors, modify these functions
   function checkAnswer() {
-    const userAnswer = parseInt(elements.answerDisplay.textContent);
+    const problem = gameState.currentProblem;
+    const enteredText = elements.answerDisplay.textContent;
 
-    if (isNaN(userAnswer)) {
-      elements.message.textContent = t('app.messages.enterNumber');
+    if (parseAnswer(problem, enteredText) === null) {
+      elements.message.textContent = getInvalidAnswerMessage(getShownAnswerInput(problem));
       elements.message.className = 'message incorrect';
       return;
     }
 
-    if (userAnswer === gameState.currentProblem.answer) {
+    if (isCorrectAnswer(problem, enteredText)) {
       handleCorrectAnswer();
     } else {
+      // A wrong answer choice cannot be picked again for the same problem
+      if (usesAnswerChoices(problem)) {
+        disableChoiceButton(enteredText);
+      }
       handleIncorrectAnswer();
     }
   }
 
+  /**
+   * Check whether a problem is answered by picking one of a few answers instead of
+   * typing it, because the session answers by multiple choice
+   * @param {Object} problem - Structured problem object
+   * @return {boolean} True if the choice pad shows answer choices for the problem
+   */
+  function usesAnswerChoices(problem) {
+    return gameState.answerMode === 'choices' && supportsAnswerChoices(problem);
+  }
+
+  /**
+   * Get how a problem is answered, for the session stats
+   * @param {Object} problem - Structured problem object
+   * @return {string} 'choices' if picked from answer choices, otherwise 'keypad'
+   */
+  function getProblemAnswerMode(problem) {
+    return usesAnswerChoices(problem) ? 'choices' : 'keypad';
+  }
+
+  /**
+   * Get the answer pad a problem is answered with
+   * @param {Object} problem - Structured problem object
+   * @return {string} Answer input type of the pad to show
+   */
+  function getShownAnswerInput(problem) {
+    return usesAnswerChoices(problem) ? 'choice' : getAnswerInput(problem);
+  }
+
+  /**
+   * Get the message shown when the entered text is not a valid answer
+   * @param {string} input - Answer input type
+   * @return {string} Translated message
+   */
+  function getInvalidAnswerMessage(input) {
+    if (input === 'number') {
+      return t('app.messages.enterNumber');
+    }
+    if (input === 'time') {
+      return t('app.messages.enterTime');
+    }
+    return t('app.messages.chooseAnswer');
+  }
+
   function handleCorrectAnswer() {
     elements.message.textContent = t('app.gameplay.correctAnswer');
     elements.message.className = 'message correct';
     gameState = updateScore(gameState);
+    gameState = recordModeResult(
+      gameState,
+      gameState.currentProblem.sourceMode,
+      true,
+      getProblemAnswerMode(gameState.currentProblem)
+    );
     elements.score.textContent = gameState.score;
     // Show new problem immediately
     newProblem();
   }
 
   function handleIncorrectAnswer() {
-    gameState = recordIncorrectProblem(gameState, {
-      question: gameState.currentProblem.question,
-      answer: gameState.currentProblem.answer,
-    });
+    gameState = recordIncorrectProblem(gameState, gameState.currentProblem);
+    gameState = recordModeResult(
+      gameState,
+      gameState.currentProblem.sourceMode,
+      false,
+      getProblemAnswerMode(gameState.currentProblem)
+    );
 
     elements.incorrect.textContent = gameState.incorrectAttempts;
 
     // Clear the input to make it more obvious it was incorrect
+    // (this also takes the wrong answer out of the problem when it is shown in place of the unknown)
     elements.answerDisplay.textContent = '';
-    elements.check.disabled = true;
+    checkInputValue();
+
+    // From the second attempt on, sums and differences get a ten-frame or number-line picture
+    updateVisualHint();
+
+    // Problems practising a strategy explain it instead of only marking the answer wrong
+    const hint = getHint(gameState.currentProblem);
+    const hintText = hint ? t(hint.key, hint.params) : '';
 
     // Show different messages based on number of attempts
     if (hasReachedMaxAttempts(gameState)) {
-      elements.message.textContent = `The answer is ${gameState.currentProblem.answer}`;
+      const answerText = t('app.gameplay.answerIs', {
+        answer: formatAnswer(gameState.currentProblem),
+      });
+      elements.message.textContent = hint ? `${hintText} ${answerText}` : answerText;
+      elements.message.className = 'message hint';
+      // Walk through the solution step by step; its last step offers a similar problem
+      gameState = startWorkedSolution(gameState);
+      setAnswerPadEnabled(false);
+      updateVisualHint();
+      updateWorkedSolution();
+    } else if (hint) {
+      elements.message.textContent = hintText;
       elements.message.className = 'message hint';
-      // Show new problem after briefly showing the answer
-      setTimeout(newProblem, 1500);
     } else {
       elements.message.textContent = t('app.gameplay.incorrectAnswer');
       elements.message.className = 'message incorrect';
@@ -524,18 +868,40 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     const currentDifficulty = gameState.difficulty;
+    const currentUnknownPosition = gameState.unknownPosition;
+    const currentRegrouping = gameState.regrouping;
+    const currentMixWeights = gameState.mixWeights;
+    const currentShowRunningCount = gameState.showRunningCount;
+    const currentAnswerMode = gameState.answerMode;
+
+    // Use the entered seed, or pick a new one so every session can be replayed
+    const enteredSeed = elements.seedInput ? elements.seedInput.value.trim() : '';
+    const seed = enteredSeed || generateSeed();
+    sessionRandom = createRandom(seed);
+    choiceRandom = createRandom(`${seed}:choices`);
+    followUpRandom = createRandom(`${seed}:followups`);
+
+    // Forget the facts served in the previous session
+    schedulerState = createSchedulerState();
 
     // Initialize a fresh game state and manually set gameActive
     // Don't use resetGameState for now to eliminate any potential issues
     gameState = {
       gameMode: currentMode, // Explicitly preserve the current mode
       difficulty: currentDifficulty, // Explicitly preserve the current difficulty
+      unknownPosition: currentUnknownPosition, // Preserve the "? anywhere" option
+      regrouping: currentRegrouping, // Preserve the regrouping sub-level
+      mixWeights: currentMixWeights, // Preserve the mixed mode weighting
+      showRunningCount: currentShowRunningCount, // Preserve the running count option
+      answerMode: currentAnswerMode, // Preserve number pad or multiple choice
+      seed, // Seed of this session's problem sequence
       score: 0,
       incorrectAttempts: 0,
       currentProblemAttempts: 0,
       timeLeft: GAME_DURATION,
       gameActive: true,
       incorrectProblems: [],
+      modeStats: {},
       currentProblem: {},
     };
 
@@ -572,6 +938,8 @@ document.addEventListener('DOMContentLoaded', function () {
    * Reset the game to initial state
    */
   function resetGame() {
+    stopFlash();
+
     // Clear any running timer
     if (gameState.timerInterval) {
       clearInterval(gameState.timerInterval);
@@ -584,6 +952,8 @@ document.addEventListener('DOMContentLoaded', function () {
     // Override with UI defaults
     gameState = updateGameMode(gameState, DEFAULT_GAME_MODE);
     gameState = updateDifficulty(gameState, DEFAULT_DIFFICULTY);
+    updateVisualHint();
+    updateWorkedSolution();
 
     // Ensure gameActive is false to prevent timer from starting
     gameState.gameActive = false;
@@ -609,12 +979,15 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Ensure default mode and difficulty are selected
     updateDefaultActiveButtons();
+    updateUnknownPositionToggle();
+    updateRunningCountToggle();
+    updateMultipleChoiceToggle();
+    updateRegroupingButtons();
+    updateMixSettings();
+    showAnswerPad('number');
 
     // Update display
-    if (elements.modeDisplay) {
-      elements.modeDisplay.textContent = t('app.operations.mixed');
-      elements.modeDisplay.style.backgroundColor = '#a29bfe'; // Mixed mode color
-    }
+    updateModeDisplay(DEFAULT_GAME_MODE);
     if (elements.difficultyDisplay) {
       elements.difficultyDisplay.textContent = t('app.difficulty.medium');
       elements.difficultyDisplay.style.backgroundColor = '#0984e3';
@@ -637,6 +1010,10 @@ document.addEventListener('DOMContentLoaded', function () {
       btn.disabled = false;
     });
 
+    if (elements.unknownPositionToggle) {
+      elements.unknownPositionToggle.disabled = false;
+    }
+
     // Additional check to ensure no timer is running
     if (gameState.timerInterval) {
       clearInterval(gameState.timerInterval);
@@ -650,6 +1027,9 @@ document.addEventListener('DOMContentLoaded', function () {
   function endGame() {
     // First set game to inactive
     gameState.gameActive = false;
+    stopFlash();
+    updateVisualHint();
+    updateWorkedSolution();
 
     // Clear any running timer
     if (gameState.timerInterval) {
@@ -677,43 +1057,149 @@ document.addEventListener('DOMContentLoaded', function () {
     if (gameState.difficulty === 'mixed-difficulty') {
       difficultyDisplay = t('app.difficulty.mixed');
     }
+    if (supportsRegrouping(gameState.gameMode) && gameState.regrouping !== 'any') {
+      difficultyDisplay += ` (${t(`app.regrouping.${gameState.regrouping}`)})`;
+    }
+
+    // Format mode display from the registry
+    const problemType = getProblemType(gameState.gameMode);
+    const modeDisplay = problemType ? getProblemTypeLabel(problemType) : gameState.gameMode;
+    const answerModeLabel = t(`app.results.answerModes.${gameState.answerMode}`);
 
     // Create results HTML
     let resultHTML = `
         <h2>${t('app.results.timeUp')}</h2>
+        <p>${t('app.results.mode')}: ${modeDisplay}</p>
         <p>${t('app.results.finalScore')}: ${gameState.score}</p>
         <p>${t('app.results.incorrectAttempts')}: ${gameState.incorrectAttempts}</p>
         <p>${t('app.results.accuracy')}: ${accuracyRate}%</p>
         <p>${t('app.results.difficulty')}: ${difficultyDisplay}</p>
+        <p>${t('app.results.answerMode')}: ${answerModeLabel}</p>
     `;
 
-    // Add incorrect problems if there were any
-    if (gameState.incorrectProblems.length > 0) {
-      resultHTML += createIncorrectProblemsHTML();
-    }
-
     // Display results
     elements.problem.textContent = '';
     elements.message.innerHTML = resultHTML;
     elements.message.className = 'message end-message';
+
+    // The seed may come from the URL, so it is added as text rather than HTML
+    const seedLine = document.createElement('p');
+    seedLine.textContent = `${t('app.results.seed')}: ${gameState.seed}`;
+    elements.message.appendChild(seedLine);
+
+    // Break mixed sessions down by the mode each problem came from
+    if (gameState.gameMode === 'mixed' && Object.keys(gameState.modeStats).length > 0) {
+      elements.message.appendChild(createModeBreakdownElement());
+    }
+
+    // Add incorrect problems if there were any
+    if (gameState.incorrectProblems.length > 0) {
+      elements.message.appendChild(createIncorrectProblemsElement());
+    }
   }
 
-  function createIncorrectProblemsHTML() {
-    let html = `<h3>${t('app.results.problemsToPractice')}:</h3><div class="incorrect-problems">`;
+  function createModeBreakdownElement() {
+    const fragment = document.createDocumentFragment();
+
+    const heading = document.createElement('h3');
+    heading.textContent = `${t('app.results.byMode')}:`;
+    fragment.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'mode-breakdown';
+
+    // List modes in button order
+    getProblemTypes()
+      .filter(problemType => gameState.modeStats[problemType.id])
+      .forEach(problemType => {
+        const { correct, incorrect, answerMode } = gameState.modeStats[problemType.id];
+        const item = document.createElement('li');
+        item.textContent = `${getProblemTypeLabel(problemType)}: ${t('app.results.modeScore', {
+          correct,
+          incorrect,
+        })}`;
+        // In multiple-choice sessions, say which modes were answered by picking
+        if (gameState.answerMode === 'choices') {
+          item.textContent += ` (${t(`app.results.answerModes.${answerMode}`)})`;
+        }
+        list.appendChild(item);
+      });
 
-    // Get unique problems using the module function
-    const uniqueProblems = getUniqueIncorrectProblems(gameState);
+    fragment.appendChild(list);
+    return fragment;
+  }
 
-    // Add each problem to the results
-    for (const problem of uniqueProblems) {
-      html += `
-        <div class="problem-item">
-            <div>${problem.question.replace('= ?', '=')}</div>
-            <div class="answer">${problem.answer}</div>
-        </div>`;
+  function createIncorrectProblemsElement() {
+    const fragment = document.createDocumentFragment();
+
+    const heading = document.createElement('h3');
+    heading.textContent = `${t('app.results.problemsToPractice')}:`;
+    fragment.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'incorrect-problems';
+
+    // Get unique problems using the module function, keeping fact families together
+    const groups = groupProblemsByFactFamily(getUniqueIncorrectProblems(gameState));
+
+    // Add each problem (or fact family) to the results
+    for (const group of groups) {
+      if (group.family) {
+        list.appendChild(createFactFamilyElement(group));
+      } else {
+        list.appendChild(createProblemItem(group.problems[0]));
+      }
     }
 
-    return html + '</div>';
+    fragment.appendChild(list);
+    return fragment;
+  }
+
+  function createProblemItem(problem) {
+    const item = document.createElement('div');
+    item.className = 'problem-item';
+
+    // Answers with a slot in the number sentence are filled in place,
+    // other answers are listed next to the problem
+    if (hasInlineUnknown(problem)) {
+      item.appendChild(renderProblem(problem, { answer: problem.answer }));
+    } else {
+      item.appendChild(renderProblem(problem));
+      const answer = document.createElement('div');
+      answer.className = 'answer';
+      answer.textContent = formatAnswer(problem);
+      item.appendChild(answer);
+    }
+
+    return item;
+  }
+
+  /**
+   * Show all four facts of a family, marking the ones that were missed
+   * @param {Object} group - { family, problems } from groupProblemsByFactFamily
+   * @return {HTMLElement} Element containing the family
+   */
+  function createFactFamilyElement(group) {
+    const [a, b] = group.family;
+    const missed = new Set(group.problems.map(problem => problem.operands.join(',')));
+
+    const container = document.createElement('div');
+    container.className = 'fact-family';
+
+    const heading = document.createElement('div');
+    heading.className = 'fact-family-title';
+    heading.textContent = t('app.results.factFamily', { numbers: group.family.join(', ') });
+    container.appendChild(heading);
+
+    createFactFamilyProblems(a, b).forEach(problem => {
+      const item = createProblemItem(problem);
+      if (missed.has(problem.operands.join(','))) {
+        item.classList.add('missed');
+      }
+      container.appendChild(item);
+    });
+
+    return container;
   }
 
   // ===================================
@@ -782,19 +1268,11 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Update UI
     updateOperationButtons(this);
-    if (elements.modeDisplay) {
-      elements.modeDisplay.textContent = this.textContent;
-      // Set mode display color to match selected button
-      const modeColors = {
-        addition: '#ff6b6b',
-        subtraction: '#1dd1a1',
-        mixed: '#a29bfe',
-        counting: '#feca57',
-        threeNumber: '#4b7bec', // default button color
-      };
-      const selectedColor = modeColors[this.id] || '#4b7bec';
-      elements.modeDisplay.style.backgroundColor = selectedColor;
-    }
+    updateUnknownPositionToggle();
+    updateRunningCountToggle();
+    updateRegroupingButtons();
+    updateMixSettings();
+    updateModeDisplay(this.id);
 
     // Update waiting message
     elements.problem.innerHTML = `<p class="waiting-message">${t(
@@ -815,6 +1293,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Update UI
     updateDifficultyButtons(this);
+    updateRegroupingButtons();
     if (elements.difficultyDisplay) {
       let displayText = this.textContent;
       if (gameState.difficulty === 'mixed-difficulty') {
@@ -829,17 +1308,159 @@ document.addEventListener('DOMContentLoaded', function () {
     }
   }
 
+  function handleRegroupingButtonClick() {
+    if (gameState.gameActive) {
+      showMessage(messages.difficultyLocked);
+      return;
+    }
+
+    gameState = updateRegrouping(gameState, this.dataset.regrouping);
+    updateRegroupingButtons();
+  }
+
+  function handleUnknownPositionToggleClick() {
+    if (gameState.gameActive) {
+      showMessage(messages.modeLocked);
+      return;
+    }
+
+    const nextPosition = gameState.unknownPosition === 'any' ? 'result' : 'any';
+    gameState = updateUnknownPosition(gameState, nextPosition);
+    updateUnknownPositionToggle();
+  }
+
+  function handleMultipleChoiceToggleClick() {
+    if (gameState.gameActive) {
+      showMessage(messages.modeLocked);
+      return;
+    }
+
+    const nextMode = gameState.answerMode === 'choices' ? 'keypad' : 'choices';
+    gameState = updateAnswerMode(gameState, nextMode);
+    updateMultipleChoiceToggle();
+  }
+
+  // The running count only changes what is shown, so it can be switched during a game
+  function handleRunningCountToggleClick() {
+    gameState = updateRunningCount(gameState, !gameState.showRunningCount);
+    updateRunningCountToggle();
+    if (gameState.gameActive) {
+      renderCurrentProblem();
+    }
+  }
+
   function checkInputValue() {
     // Enable/disable check button based on input
     elements.check.disabled = !elements.answerDisplay.textContent;
 
-    // Update the problem display to show entered number
-    if (gameState.currentProblem.question && gameState.gameActive) {
-      const questionParts = gameState.currentProblem.originalQuestion.split('?');
-      if (questionParts.length === 2) {
-        const displayValue = elements.answerDisplay.textContent || '?';
-        elements.problem.innerHTML = questionParts[0] + displayValue + questionParts[1];
+    // Update the problem display to show the entered number in place of the unknown
+    if (gameState.gameActive && hasInlineUnknown(gameState.currentProblem)) {
+      renderCurrentProblem();
+    }
+  }
+
+  /**
+   * Draw the current problem with the entered answer and the objects counted so far
+   */
+  function renderCurrentProblem() {
+    elements.problem.replaceChildren(
+      renderProblem(gameState.currentProblem, {
+        answer: elements.answerDisplay.textContent,
+        counted: gameState.countedObjects,
+        runningCount: gameState.showRunningCount,
+        hideVisual: gameState.visualHidden,
+      })
+    );
+  }
+
+  /**
+   * Flash the visual of a problem that sets flashMs (subitizing): answering is locked
+   * while it shows, then it is hidden and the answer pad is unlocked
+   * @param {Object} problem - The problem just displayed
+   */
+  function startFlash(problem) {
+    stopFlash();
+    if (!problem.flashMs) {
+      return;
+    }
+
+    setAnswerPadEnabled(false);
+    flashTimeout = setTimeout(() => {
+      flashTimeout = null;
+      gameState = hideProblemVisual(gameState);
+      renderCurrentProblem();
+      setAnswerPadEnabled(true);
+    }, problem.flashMs);
+  }
+
+  /**
+   * Show the visual hint of the current problem once it has been missed, or hide it
+   */
+  function updateVisualHint() {
+    if (!elements.visualHint) {
+      return;
+    }
+
+    // The worked solution draws its own pictures, so the hint makes way for it
+    const showHint =
+      gameState.gameActive && gameState.currentProblemAttempts > 0 && gameState.workedStep === null;
+    const visual = showHint ? getVisualHint(gameState.currentProblem) : null;
+    elements.visualHint.replaceChildren(...(visual ? [renderVisualHint(visual)] : []));
+    elements.visualHint.classList.toggle('hidden', !visual);
+  }
+
+  /**
+   * Show the worked solution of the current problem up to its current step, or hide it
+   * Earlier steps stay listed; only the current step shows its picture
+   */
+  function updateWorkedSolution() {
+    if (!elements.workedSolution) {
+      return;
+    }
+
+    const showSolution = gameState.gameActive && gameState.workedStep !== null;
+    elements.workedSolution.classList.toggle('hidden', !showSolution);
+    if (!showSolution) {
+      elements.workedSteps.replaceChildren();
+      return;
+    }
+
+    const steps = getWorkedSolution(gameState.currentProblem);
+    const shownSteps = steps.slice(0, gameState.workedStep + 1).map((step, index) => {
+      const item = document.createElement('div');
+      item.className = 'worked-step';
+      const text = document.createElement('p');
+      text.textContent = t(step.key, step.params);
+      item.appendChild(text);
+      if (step.visual && index === gameState.workedStep) {
+        item.appendChild(renderVisualHint(step.visual));
       }
+      return item;
+    });
+    elements.workedSteps.replaceChildren(...shownSteps);
+
+    const isLastStep = gameState.workedStep >= steps.length - 1;
+    elements.workedNext.textContent = t(isLastStep ? 'app.worked.trySimilar' : 'app.worked.next');
+  }
+
+  function handleWorkedSolutionClick() {
+    if (!gameState.gameActive || gameState.workedStep === null) {
+      return;
+    }
+
+    const steps = getWorkedSolution(gameState.currentProblem);
+    if (gameState.workedStep < steps.length - 1) {
+      gameState = nextWorkedStep(gameState);
+      updateWorkedSolution();
+    } else {
+      newProblem(gameState.currentProblem);
+    }
+  }
+
+  function stopFlash() {
+    if (flashTimeout) {
+      clearTimeout(flashTimeout);
+      flashTimeout = null;
     }
   }
 
@@ -851,6 +1472,23 @@ document.addEventListener('DOMContentLoaded', function () {
     // Set check button
     elements.check.disabled = true; // Always start disabled until input
 
+    setAnswerPadEnabled(enabled);
+
+    // The seed, the answer mode and the mixed mode weighting can only be changed between games
+    if (elements.seedInput) {
+      elements.seedInput.disabled = enabled;
+    }
+    if (elements.multipleChoiceToggle) {
+      elements.multipleChoiceToggle.disabled = enabled;
+    }
+    if (elements.mixSettings) {
+      elements.mixSettings.querySelectorAll('input, select, button').forEach(control => {
+        control.disabled = enabled;
+      });
+    }
+  }
+
+  function setAnswerPadEnabled(enabled) {
     // Set number buttons
     elements.numberButtons.forEach(btn => {
       btn.disabled = !enabled;
@@ -859,6 +1497,57 @@ document.addEventListener('DOMContentLoaded', function () {
     if (elements.clearButton) {
       elements.clearButton.disabled = !enabled;
     }
+
+    elements.answerButtons.forEach(btn => {
+      btn.disabled = !enabled;
+    });
+    if (elements.choicePad) {
+      elements.choicePad.querySelectorAll('button').forEach(btn => {
+        btn.disabled = !enabled;
+      });
+    }
+  }
+
+  /**
+   * Show the answer pad for an answer input type and hide the others
+   * A pad (or a key inside it) lists the inputs it serves in data-input, separated by spaces
+   * @param {string} input - Answer input type ('number', 'symbol', ...)
+   */
+  function showAnswerPad(input) {
+    [...elements.answerPads, ...elements.answerPadKeys].forEach(element => {
+      element.classList.toggle('hidden', !element.dataset.input.split(' ').includes(input));
+    });
+  }
+
+  /**
+   * Build one choice button per choice of a multiple-choice problem, or per answer
+   * choice when the session answers by multiple choice
+   * @param {Object} problem - Structured problem object
+   */
+  function updateChoiceButtons(problem) {
+    if (!elements.choicePad) {
+      return;
+    }
+    const answers = usesAnswerChoices(problem)
+      ? getAnswerChoices(problem, choiceRandom)
+      : (problem.choices || []).map(choice => choice.id);
+    const buttons = answers.map(answer => {
+      const button = document.createElement('button');
+      button.className = 'choice-btn';
+      button.dataset.answer = answer;
+      button.textContent = answer;
+      return button;
+    });
+    elements.choicePad.replaceChildren(...buttons);
+  }
+
+  function disableChoiceButton(answer) {
+    const button = [...elements.choicePad.querySelectorAll('[data-answer]')].find(
+      btn => btn.dataset.answer === answer
+    );
+    if (button) {
+      button.disabled = true;
+    }
   }
 
   function updateOperationButtons(activeButton) {
@@ -870,6 +1559,231 @@ document.addEventListener('DOMContentLoaded', function () {
     activeButton.classList.add('active');
   }
 
+  function updateUnknownPositionToggle() {
+    if (!elements.unknownPositionToggle) {
+      return;
+    }
+
+    // The option only applies to modes that support it (plain addition and subtraction)
+    const available = supportsUnknownPosition(gameState.gameMode);
+    elements.unknownPositionToggle.classList.toggle('hidden', !available);
+    elements.unknownPositionToggle.classList.toggle('active', gameState.unknownPosition === 'any');
+  }
+
+  function updateMultipleChoiceToggle() {
+    if (!elements.multipleChoiceToggle) {
+      return;
+    }
+
+    elements.multipleChoiceToggle.classList.toggle('active', gameState.answerMode === 'choices');
+  }
+
+  function updateRunningCountToggle() {
+    if (!elements.runningCountToggle) {
+      return;
+    }
+
+    // Only modes with objects to tap (counting) show a running count
+    const problemType = getProblemType(gameState.gameMode);
+    const available = Boolean(problemType && problemType.supportsRunningCount);
+    elements.runningCountToggle.classList.toggle('hidden', !available);
+    elements.runningCountToggle.classList.toggle('active', gameState.showRunningCount);
+  }
+
+  function updateRegroupingButtons() {
+    if (!elements.regroupingContainer) {
+      return;
+    }
+
+    // Regrouping sub-levels only apply to addition/subtraction based modes
+    const available = supportsRegrouping(gameState.gameMode);
+    elements.regroupingContainer.classList.toggle('hidden', !available);
+
+    // Sub-levels the number ranges cannot meet (e.g. crossing ten in easy subtraction) are
+    // turned off, falling back to any regrouping if one was chosen
+    if (available && !isRegroupingOffered(gameState.regrouping)) {
+      gameState = updateRegrouping(gameState, 'any');
+    }
+    elements.regroupingButtons.forEach(btn => {
+      btn.disabled = !isRegroupingOffered(btn.dataset.regrouping);
+      btn.classList.toggle('active', btn.dataset.regrouping === gameState.regrouping);
+    });
+  }
+
+  /**
+   * Check whether the current mode and difficulty can meet a regrouping sub-level
+   * Mixed difficulty has to meet it at every difficulty it picks from
+   * @param {string} regrouping - Regrouping sub-level
+   * @return {boolean} True if the sub-level button is offered
+   */
+  function isRegroupingOffered(regrouping) {
+    const difficulties =
+      gameState.difficulty === 'mixed-difficulty' ? ['medium', 'hard'] : [gameState.difficulty];
+    return difficulties.every(difficulty =>
+      isRegroupingAvailable(gameState.gameMode, difficulty, regrouping, {
+        mixWeights: gameState.mixWeights,
+      })
+    );
+  }
+
+  function handleMixWeightInput() {
+    const weights = {};
+    elements.mixWeightInputs.forEach(input => {
+      weights[input.dataset.mode] = input.value;
+    });
+
+    // No usable weight means an even mix
+    const sanitized = sanitizeMixWeights(weights);
+    gameState = updateMixWeights(gameState, Object.keys(sanitized).length > 0 ? sanitized : null);
+
+    // Edited weights no longer match a saved preset
+    elements.mixPresetSelect.selectedIndex = -1;
+    updateMixShares();
+    updateRegroupingButtons();
+  }
+
+  function handleMixPresetChange() {
+    const name = elements.mixPresetSelect.value;
+    const presets = loadMixPresets();
+    gameState = updateMixWeights(gameState, name && presets[name] ? presets[name] : null);
+    elements.mixPresetName.value = name;
+    updateMixWeightInputs();
+  }
+
+  function handleMixPresetSave() {
+    const name = elements.mixPresetName.value.trim();
+    try {
+      // An even mix is saved as the shares shown in the inputs
+      saveMixPreset(name, gameState.mixWeights || getMixShares(null));
+    } catch (error) {
+      elements.message.textContent = t('app.mix.saveError');
+      elements.message.className = 'message incorrect';
+      return;
+    }
+
+    updateMixPresetOptions();
+    elements.mixPresetSelect.value = name;
+  }
+
+  function handleMixPresetDelete() {
+    const name = elements.mixPresetSelect.value;
+    if (!name) {
+      return;
+    }
+
+    deleteMixPreset(name);
+    gameState = updateMixWeights(gameState, null);
+    elements.mixPresetName.value = '';
+    updateMixSettings();
+  }
+
+  function updateMixSettings() {
+    if (!elements.mixSettings) {
+      return;
+    }
+
+    // The weighting only applies to mixed mode
+    elements.mixSettings.classList.toggle('hidden', gameState.gameMode !== 'mixed');
+    updateMixPresetOptions();
+    updateMixWeightInputs();
+  }
+
+  function updateMixPresetOptions() {
+    const selected = elements.mixPresetSelect.value;
+    const presets = loadMixPresets();
+
+    const evenOption = document.createElement('option');
+    evenOption.value = '';
+    evenOption.textContent = t('app.mix.evenMix');
+
+    // Preset names are user input, so they are set as text
+    const presetOptions = Object.keys(presets).map(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      return option;
+    });
+
+    elements.mixPresetSelect.replaceChildren(evenOption, ...presetOptions);
+    elements.mixPresetSelect.value = selected in presets ? selected : '';
+  }
+
+  function updateMixWeightInputs() {
+    // An even mix shows each mixable mode's share as its weight
+    const evenShares = getMixShares(null);
+    elements.mixWeightInputs.forEach(input => {
+      const mode = input.dataset.mode;
+      input.value = gameState.mixWeights ? gameState.mixWeights[mode] || 0 : evenShares[mode] || 0;
+    });
+    updateMixShares();
+    updateRegroupingButtons();
+  }
+
+  function updateMixShares() {
+    const shares = getMixShares(gameState.mixWeights);
+    elements.mixWeightInputs.forEach(input => {
+      input.parentElement.querySelector('.mix-share').textContent = `${
+        shares[input.dataset.mode] || 0
+      }%`;
+    });
+  }
+
+  /**
+   * Get the rounded percentage of problems each mode gets in mixed mode
+   * @param {Object|null} mixWeights - Weight per problem type id, or null for an even mix
+   * @return {Object} Percentage keyed by problem type id
+   */
+  function getMixShares(mixWeights) {
+    const entries = resolveMixWeights(mixWeights);
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    const shares = {};
+    entries.forEach(({ problemType, weight }) => {
+      shares[problemType.id] = Math.round((weight / total) * 100);
+    });
+    return shares;
+  }
+
+  function updateMixSettingsText() {
+    if (!elements.mixSettings) {
+      return;
+    }
+
+    elements.mixTitle.textContent = t('app.mix.title');
+    elements.mixWeightInputs.forEach(input => {
+      const problemType = getProblemType(input.dataset.mode);
+      const label = getProblemTypeLabel(problemType);
+      input.parentElement.querySelector('.mix-weight-name').textContent = label;
+      input.setAttribute('aria-label', t('app.mix.weight', { mode: label }));
+    });
+    elements.mixPresetSelect.setAttribute('aria-label', t('app.mix.preset'));
+    elements.mixPresetSelect.options[0].textContent = t('app.mix.evenMix');
+    elements.mixPresetName.placeholder = t('app.mix.presetName');
+    elements.mixPresetName.setAttribute('aria-label', t('app.mix.presetName'));
+    elements.mixPresetSave.textContent = t('app.mix.save');
+    elements.mixPresetDelete.textContent = t('app.mix.delete');
+  }
+
+  function supportsRegrouping(mode) {
+    const problemType = getProblemType(mode);
+    return Boolean(problemType && problemType.supportsRegrouping);
+  }
+
+  function supportsUnknownPosition(mode) {
+    const problemType = getProblemType(mode);
+    return Boolean(problemType && problemType.supportsUnknownPosition);
+  }
+
+  function updateModeDisplay(mode) {
+    const problemType = getProblemType(mode);
+    if (!elements.modeDisplay || !problemType) {
+      return;
+    }
+
+    // Mode display text and color match the selected button
+    elements.modeDisplay.textContent = getProblemTypeLabel(problemType);
+    elements.modeDisplay.style.backgroundColor = problemType.color;
+  }
+
   function updateDifficultyButtons(activeButton) {
     elements.difficultyButtons.forEach(btn => {
       btn.classList.remove('active');
@@ -0,0 +1,119 @@
+/**
+ * Answer Checker
+ * Parses what the child entered and compares it with the problem's answer.
+ * A problem names its kind of answer with problem.input (default 'number');
+ * each kind has a parser here and an answer pad in index.html (data-input).
+ */
+
+import { formatClockTime } from './utils.js';
+
+// Symbols offered by the symbol pad
+export const COMPARISON_SYMBOLS = ['<', '=', '>'];
+
+// Answers of the true/false pad, keyed by the boolean answer they stand for
+export const TRUE_FALSE_SYMBOLS = { true: '✓', false: '✗' };
+
+// Kind of answer used when a problem does not set problem.input
+export const DEFAULT_ANSWER_INPUT = 'number';
+
+/**
+ * Parsers keyed by answer input type
+ * Each parser takes the trimmed entered text and returns the answer, or null if invalid
+ */
+const answerParsers = {
+  number: parseNumberAnswer,
+  symbol: parseSymbolAnswer,
+  trueFalse: parseTrueFalseAnswer,
+  time: parseTimeAnswer,
+  choice: parseChoiceAnswer,
+};
+
+/**
+ * Register a parser for a new answer input type
+ * @param {string} input - Answer input type (the `input` of a problem)
+ * @param {Function} parse - (text) => answer, or null if the text is not a valid answer
+ */
+export function registerAnswerInput(input, parse) {
+  if (typeof parse !== 'function') {
+    throw new Error(`Answer input '${input}' must provide a parse function`);
+  }
+  answerParsers[input] = parse;
+}
+
+/**
+ * Get the kind of answer a problem expects
+ * @param {Object} problem - Structured problem object
+ * @return {string} Answer input type ('number', 'symbol', ...)
+ */
+export function getAnswerInput(problem) {
+  return problem.input || DEFAULT_ANSWER_INPUT;
+}
+
+/**
+ * Parse an entered answer for a problem
+ * @param {Object} problem - Structured problem object
+ * @param {string} enteredText - Text from the answer display
+ * @return {*} Parsed answer, or null if nothing valid was entered
+ */
+export function parseAnswer(problem, enteredText) {
+  const input = getAnswerInput(problem);
+  const parse = answerParsers[input];
+  if (!parse) {
+    throw new Error(`No parser registered for answer input '${input}'`);
+  }
+  return parse(String(enteredText ?? '').trim());
+}
+
+/**
+ * Check an entered answer against the problem's answer
+ * @param {Object} problem - Structured problem object
+ * @param {string} enteredText - Text from the answer display
+ * @return {boolean} True if the answer is correct
+ */
+export function isCorrectAnswer(problem, enteredText) {
+  const answer = parseAnswer(problem, enteredText);
+  return answer !== null && answer === problem.answer;
+}
+
+/**
+ * Format an answer for display (results, "the answer is" hints)
+ * @param {Object} problem - Structured problem object
+ * @param {*} [answer=problem.answer] - Answer to format
+ * @return {string} Answer as shown on the answer pad
+ */
+export function formatAnswer(problem, answer = problem.answer) {
+  if (getAnswerInput(problem) === 'trueFalse') {
+    return TRUE_FALSE_SYMBOLS[answer];
+  }
+  return String(answer);
+}
+
+function parseNumberAnswer(text) {
+  const value = parseInt(text);
+  return isNaN(value) ? null : value;
+}
+
+function parseSymbolAnswer(text) {
+  return COMPARISON_SYMBOLS.includes(text) ? text : null;
+}
+
+function parseTrueFalseAnswer(text) {
+  if (text === TRUE_FALSE_SYMBOLS.true) return true;
+  if (text === TRUE_FALSE_SYMBOLS.false) return false;
+  return null;
+}
+
+// Multiple-choice answers are the id of the chosen choice (see problem.choices)
+function parseChoiceAnswer(text) {
+  return text || null;
+}
+
+// Times are entered as H:MM (or HH:MM) and normalized, so '03:30' and '3:30' match
+function parseTimeAnswer(text) {
+  const match = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hour = parseInt(match[1]);
+  const minute = parseInt(match[2]);
+  if (hour < 1 || hour > 12 || minute > 59) return null;
+  return formatClockTime(hour, minute);
+}
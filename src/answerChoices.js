@@ -0,0 +1,115 @@
+/**
+ * Answer Choices
+ * Builds the buttons of the multiple-choice answer mode: the answer plus distractors
+ * taken from common mistakes (off by one, repeating a number from the problem,
+ * using the wrong operation), so a wrong pick says something about how the child
+ * got there. Choices are formatted answers, checked like anything typed on the pad.
+ */
+
+import { getAnswerInput, formatAnswer } from './answerChecker.js';
+import { formatClockTime, getRandomSample } from './utils.js';
+
+// Buttons shown per problem, the answer included
+export const ANSWER_CHOICE_COUNT = 4;
+
+/**
+ * Distractor builders keyed by answer input type
+ * Each takes the problem and returns { common, fallback } candidate answers: common
+ * mistakes, picked from in random order, and nearby answers to fill the remaining buttons.
+ * Inputs without a builder (symbols, true/false, pictures) already answer with one tap.
+ */
+const distractorBuilders = {
+  number: getNumberDistractors,
+  time: getTimeDistractors,
+};
+
+/**
+ * Check whether a problem can be answered by picking from answer choices
+ * @param {Object} problem - Structured problem object
+ * @return {boolean} True if the problem's answer input has distractors
+ */
+export function supportsAnswerChoices(problem) {
+  return Boolean(distractorBuilders[getAnswerInput(problem)]);
+}
+
+/**
+ * Get the answer choices for a problem
+ * @param {Object} problem - Structured problem object
+ * @param {Function} [random=Math.random] - Random number source
+ * @param {number} [count=ANSWER_CHOICE_COUNT] - Number of choices, the answer included
+ * @return {Array<string>} Formatted answers in random order, or [] if the problem has no choices
+ */
+export function getAnswerChoices(problem, random = Math.random, count = ANSWER_CHOICE_COUNT) {
+  if (!supportsAnswerChoices(problem)) {
+    return [];
+  }
+
+  const answer = formatAnswer(problem);
+  const { common, fallback } = distractorBuilders[getAnswerInput(problem)](problem);
+  const distractors = [];
+  [...getRandomSample(common, common.length, random), ...fallback].forEach(candidate => {
+    const text = formatAnswer(problem, candidate);
+    if (text !== answer && !distractors.includes(text)) {
+      distractors.push(text);
+    }
+  });
+
+  return getRandomSample([answer, ...distractors.slice(0, count - 1)], count, random);
+}
+
+function getNumberDistractors(problem) {
+  const { answer } = problem;
+  const known = getKnownNumbers(problem);
+  const common = [answer + 1, answer - 1, ...known];
+  // The other operation on the two given numbers: 7 + 3 answered as 4, 7 - 3 as 10
+  if (known.length === 2) {
+    const [first, second] = known;
+    common.push(first + second, Math.abs(first - second));
+  }
+
+  const fallback = [];
+  for (let distance = 2; distance <= ANSWER_CHOICE_COUNT + 1; distance++) {
+    fallback.push(answer + distance, answer - distance);
+  }
+
+  const isValid = value => Number.isInteger(value) && value >= 0;
+  return { common: common.filter(isValid), fallback: fallback.filter(isValid) };
+}
+
+/**
+ * Get the numbers a problem shows: the operands around the unknown, or the numbers
+ * of its prompt (word problems tell their numbers in the story)
+ * @param {Object} problem - Structured problem object
+ * @return {Array<number>} Known numbers, left to right
+ */
+function getKnownNumbers(problem) {
+  if (problem.operands?.length) {
+    return problem.operands.filter((operand, index) => index !== problem.unknownIndex);
+  }
+
+  const numbers = Object.values(problem.prompt?.params || {}).filter(
+    value => typeof value === 'number'
+  );
+  // The story may also tell the answer (e.g. the total when a part is asked for)
+  const answerIndex = numbers.indexOf(problem.answer);
+  if (answerIndex !== -1) {
+    numbers.splice(answerIndex, 1);
+  }
+  return numbers;
+}
+
+// 3:30 read as 4:30 or 2:30 (the hour hand is between two numbers), as 6:15
+// (the hands swapped) or as 3:00 (the long hand on 6 read as "o'clock")
+function getTimeDistractors(problem) {
+  const [hour, minute] = problem.answer.split(':').map(Number);
+  const nextHour = (hour % 12) + 1;
+  const previousHour = ((hour + 10) % 12) + 1;
+  const common = [formatClockTime(nextHour, minute), formatClockTime(previousHour, minute)];
+  if (minute % 5 === 0) {
+    common.push(formatClockTime(minute / 5 || 12, (hour % 12) * 5));
+  }
+  common.push(formatClockTime(hour, (minute + 30) % 60));
+
+  const fallback = [15, 45].map(offset => formatClockTime(hour, (minute + offset) % 60));
+  return { common, fallback };
+}
@@ -0,0 +1,59 @@
+/**
+ * Coin Sets
+ * Coins used by money problems, one set per currency. The set follows the language
+ * (US cents for English, yen for Japanese); the coins are drawn as inline SVG
+ * by the problem renderer, so no image files are needed.
+ */
+
+/**
+ * Coins keyed by coin set, then by value
+ * label is printed on the coin, metal picks its color and radius its relative size
+ */
+export const COIN_SETS = {
+  usd: {
+    1: { label: '1¢', metal: 'copper', radius: 19 },
+    5: { label: '5¢', metal: 'silver', radius: 21 },
+    10: { label: '10¢', metal: 'silver', radius: 18 },
+    25: { label: '25¢', metal: 'silver', radius: 24 },
+    50: { label: '50¢', metal: 'silver', radius: 28 },
+  },
+  jpy: {
+    1: { label: '1', metal: 'aluminum', radius: 20 },
+    5: { label: '5', metal: 'brass', radius: 22 },
+    10: { label: '10', metal: 'copper', radius: 23 },
+    50: { label: '50', metal: 'silver', radius: 21 },
+    100: { label: '100', metal: 'silver', radius: 23 },
+    500: { label: '500', metal: 'gold', radius: 26 },
+  },
+};
+
+// Coin set used when a language has none of its own
+export const DEFAULT_COIN_SET = 'usd';
+
+const COIN_SET_BY_LANGUAGE = {
+  en: 'usd',
+  ja: 'jpy',
+};
+
+/**
+ * Get the coin set for a language
+ * @param {string} language - Language code ('en', 'ja', ...)
+ * @return {string} Coin set id
+ */
+export function getCoinSetForLanguage(language) {
+  return COIN_SET_BY_LANGUAGE[language] || DEFAULT_COIN_SET;
+}
+
+/**
+ * Look up a coin
+ * @param {string} coinSet - Coin set id
+ * @param {number} value - Coin value
+ * @return {Object} { label, metal, radius }
+ */
+export function getCoin(coinSet, value) {
+  const coin = COIN_SETS[coinSet]?.[value];
+  if (!coin) {
+    throw new Error(`No ${value} coin in coin set '${coinSet}'`);
+  }
+  return coin;
+}
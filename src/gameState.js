@@ -6,6 +6,9 @@
 // Game constants
 export const DEFAULT_GAME_MODE = 'addition';
 export const DEFAULT_DIFFICULTY = 'easy';
+export const DEFAULT_UNKNOWN_POSITION = 'result';
+export const DEFAULT_REGROUPING = 'any';
+export const DEFAULT_ANSWER_MODE = 'keypad';
 export const DEFAULT_TIMER = 180; // 3 minutes in seconds
 export const MAX_PROBLEM_ATTEMPTS = 3;
 
@@ -17,13 +20,23 @@ export function initGameState() {
   return {
     gameMode: DEFAULT_GAME_MODE,
     difficulty: DEFAULT_DIFFICULTY,
+    unknownPosition: DEFAULT_UNKNOWN_POSITION,
+    regrouping: DEFAULT_REGROUPING,
+    seed: null,
+    mixWeights: null,
+    showRunningCount: false,
+    answerMode: DEFAULT_ANSWER_MODE,
     currentProblem: {},
+    countedObjects: [],
+    visualHidden: false,
+    workedStep: null,
     score: 0,
     incorrectAttempts: 0,
     currentProblemAttempts: 0,
     timeLeft: DEFAULT_TIMER,
     gameActive: false,
     incorrectProblems: [],
+    modeStats: {},
   };
 }
 
@@ -42,7 +55,11 @@ export function resetGameState(state) {
     timeLeft: DEFAULT_TIMER,
     gameActive: true,
     incorrectProblems: [],
+    modeStats: {},
     currentProblem: {},
+    countedObjects: [],
+    visualHidden: false,
+    workedStep: null,
   };
 }
 
@@ -74,6 +91,31 @@ export function recordIncorrectProblem(state, problem) {
   };
 }
 
+/**
+ * Record a correct answer or an incorrect attempt against the problem's source mode
+ * so mixed sessions can be broken down by mode, along with how the mode was answered
+ * @param {Object} state - Current game state
+ * @param {string} sourceMode - Mode that produced the problem
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {string} [answerMode=state.answerMode] - 'keypad' or 'choices'; modes with one-tap
+ *   answers (symbols, true/false) are answered on their own pad even in a multiple-choice session
+ * @return {Object} Updated game state
+ */
+export function recordModeResult(state, sourceMode, isCorrect, answerMode = state.answerMode) {
+  const current = (state.modeStats || {})[sourceMode] || { correct: 0, incorrect: 0 };
+  return {
+    ...state,
+    modeStats: {
+      ...state.modeStats,
+      [sourceMode]: {
+        correct: current.correct + (isCorrect ? 1 : 0),
+        incorrect: current.incorrect + (isCorrect ? 0 : 1),
+        answerMode,
+      },
+    },
+  };
+}
+
 /**
  * Get unique incorrect problems (no duplicates)
  * @param {Object} state - Current game state
@@ -84,7 +126,8 @@ export function getUniqueIncorrectProblems(state) {
   const uniqueProblems = [];
 
   for (const problem of state.incorrectProblems) {
-    const key = problem.question + problem.answer;
+    // Problems are plain data, so their serialized form identifies them
+    const key = JSON.stringify(problem);
     if (!seen.has(key)) {
       seen.add(key);
       uniqueProblems.push(problem);
@@ -94,6 +137,33 @@ export function getUniqueIncorrectProblems(state) {
   return uniqueProblems;
 }
 
+/**
+ * Group problems so the facts of one fact family stay together
+ * Groups are in order of their first problem; problems outside a family form their own group
+ * @param {Array<Object>} problems - Problems, e.g. from getUniqueIncorrectProblems
+ * @return {Array<Object>} Groups of { family, problems }; family is null outside a family
+ */
+export function groupProblemsByFactFamily(problems) {
+  const groups = [];
+  const familyGroups = new Map();
+
+  for (const problem of problems) {
+    if (!problem.family) {
+      groups.push({ family: null, problems: [problem] });
+      continue;
+    }
+    const key = problem.family.join(',');
+    if (!familyGroups.has(key)) {
+      const group = { family: problem.family, problems: [] };
+      familyGroups.set(key, group);
+      groups.push(group);
+    }
+    familyGroups.get(key).problems.push(problem);
+  }
+
+  return groups;
+}
+
 /**
  * Calculate accuracy percentage
  * @param {Object} state - Current game state
@@ -142,6 +212,126 @@ export function updateDifficulty(state, difficulty) {
   };
 }
 
+/**
+ * Update where the unknown is placed in addition/subtraction problems
+ * @param {Object} state - Current game state
+ * @param {string} unknownPosition - 'result' for `a + b = ?`, 'any' to also hide operands
+ * @return {Object} Updated game state
+ */
+export function updateUnknownPosition(state, unknownPosition) {
+  return {
+    ...state,
+    unknownPosition,
+  };
+}
+
+/**
+ * Show or hide the running count of tapped objects in counting problems
+ * @param {Object} state - Current game state
+ * @param {boolean} showRunningCount - Whether to show the running count
+ * @return {Object} Updated game state
+ */
+export function updateRunningCount(state, showRunningCount) {
+  return {
+    ...state,
+    showRunningCount,
+  };
+}
+
+/**
+ * Choose how answers are given for the session
+ * @param {Object} state - Current game state
+ * @param {string} answerMode - 'keypad' to type answers, 'choices' to pick one of a few answers
+ * @return {Object} Updated game state
+ */
+export function updateAnswerMode(state, answerMode) {
+  return {
+    ...state,
+    answerMode,
+  };
+}
+
+/**
+ * Count or un-count a tapped object of the current problem
+ * A new object gets the next number; tapping the last counted object again takes it back,
+ * so a slip can be undone without renumbering the others
+ * @param {Object} state - Current game state
+ * @param {number} index - Index of the tapped object
+ * @return {Object} Updated game state
+ */
+export function toggleCountedObject(state, index) {
+  const counted = state.countedObjects;
+  if (!counted.includes(index)) {
+    return { ...state, countedObjects: [...counted, index] };
+  }
+  if (counted[counted.length - 1] === index) {
+    return { ...state, countedObjects: counted.slice(0, -1) };
+  }
+  return state;
+}
+
+/**
+ * Hide the visual of the current problem once its flash time is over
+ * @param {Object} state - Current game state
+ * @return {Object} Updated game state
+ */
+export function hideProblemVisual(state) {
+  return {
+    ...state,
+    visualHidden: true,
+  };
+}
+
+/**
+ * Start the worked solution of the current problem at its first step
+ * @param {Object} state - Current game state
+ * @return {Object} Updated game state
+ */
+export function startWorkedSolution(state) {
+  return {
+    ...state,
+    workedStep: 0,
+  };
+}
+
+/**
+ * Advance the worked solution to its next step
+ * @param {Object} state - Current game state
+ * @return {Object} Updated game state
+ */
+export function nextWorkedStep(state) {
+  return {
+    ...state,
+    workedStep: state.workedStep + 1,
+  };
+}
+
+/**
+ * Update the regrouping (carry/borrow) sub-level
+ * @param {Object} state - Current game state
+ * @param {string} regrouping - 'any', 'none', 'only' or 'crossTen'
+ * @return {Object} Updated game state
+ */
+export function updateRegrouping(state, regrouping) {
+  return {
+    ...state,
+    regrouping,
+  };
+}
+
+/**
+ * Update the mixed mode weighting
+ * @param {Object} state - Current game state
+ * @param {Object|null} mixWeights - Weight per problem type id, or null for an even mix
+ * @return {Object} Updated game state
+ */
+export function updateMixWeights(state, mixWeights) {
+  return {
+    ...state,
+    mixWeights,
+  };
+}
+
 /**
  * Set game to active state
  * @param {Object} state - Current game state
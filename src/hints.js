@@ -0,0 +1,401 @@
+/**
+ * Hints
+ * Builds the help shown after a wrong answer: a strategy hint as a { key, params }
+ * translation descriptor (like problem prompts, so it follows the active language),
+ * a visual hint that the problem renderer draws (ten frames or a number line),
+ * and the step-by-step worked solution shown after the last attempt.
+ */
+
+import { formatAnswer } from './answerChecker.js';
+import { evaluateExpression } from './problemGenerator.js';
+
+// Sums and differences within this are shown on a double ten-frame, larger ones on a number line
+const TEN_FRAME_LIMIT = 20;
+
+/**
+ * Hint builders keyed by problem.strategy
+ * Each takes the problem and returns a hint, or null if none applies
+ */
+const hintBuilders = {
+  double: getDoubleHint,
+  nearDouble: getNearDoubleHint,
+  makeTen: getMakeTenHint,
+};
+
+/**
+ * Get the hint for a problem
+ * @param {Object} problem - Structured problem object
+ * @return {Object|null} { key, params } translation descriptor, or null if there is no hint
+ */
+export function getHint(problem) {
+  const build = problem && hintBuilders[problem.strategy];
+  return build ? build(problem) : null;
+}
+
+function getDoubleHint(problem) {
+  const [addend] = problem.operands;
+  return { key: 'app.hints.double', params: { addend } };
+}
+
+// 6 + 7: "6 + 6 = 12, so 6 + 7 is one more"
+function getNearDoubleHint(problem) {
+  const [num1, num2] = problem.operands;
+  const smaller = Math.min(num1, num2);
+  return {
+    key: 'app.hints.nearDouble',
+    params: { num1, num2, double: smaller, doubleSum: smaller * 2 },
+  };
+}
+
+// 9 + 4: "9 + 1 = 10, and 4 is 1 + 3, so it is 10 + 3"
+function getMakeTenHint(problem) {
+  const [num1, num2] = problem.operands;
+  const bigger = Math.max(num1, num2);
+  const smaller = Math.min(num1, num2);
+  const fill = 10 - bigger;
+  return {
+    key: 'app.hints.makeTen',
+    params: { bigger, smaller, fill, rest: smaller - fill },
+  };
+}
+
+/**
+ * Get the visual hint for an addition or subtraction sentence with a hidden number
+ * The sentence is solved first and then drawn, so `4 + ? = 9` shows 4 and 5 more,
+ * `8 + 5 - 4 = ?` hops 5 on and 4 back, and `5 + 2 = 3 + ?` pictures 3 + 4
+ * @param {Object} problem - Structured problem object
+ * @return {Object|null} Visual payload ('tenFrames' or 'numberLine'), or null if there is no hint
+ */
+export function getVisualHint(problem) {
+  const side = getHintSide(problem);
+  if (!side) {
+    return null;
+  }
+
+  const [first, ...rest] = side.operands;
+  const hops = rest.flatMap((number, index) =>
+    getHops(number, side.operators[index] === '-' ? -1 : 1)
+  );
+  const line = getNumberLine(first, hops);
+  const total = getLandings(line).at(-1);
+  if (rest.length === 1 && Math.max(first, total) <= TEN_FRAME_LIMIT) {
+    return { type: 'tenFrames', first, second: rest[0], operator: side.operators[0] };
+  }
+  return { type: 'numberLine', ...line };
+}
+
+/**
+ * Get the side of a sentence a visual hint draws, with the hidden number filled in
+ * (problem.operands already hold it): the side with the unknown, or the other side
+ * when the unknown stands alone (`a + b = ?` draws a + b)
+ * @param {Object} problem - Structured problem object
+ * @return {Object|null} { operands, operators } of two or more numbers joined by + and -,
+ *   or null if the problem has no such side
+ */
+function getHintSide(problem) {
+  const sides = getSides(problem);
+  if (!sides) {
+    return null;
+  }
+
+  const { unknownSide, knownSide } = sides;
+  const side = unknownSide.operands.length > 1 ? unknownSide : knownSide;
+  return side.operands.length > 1 ? side : null;
+}
+
+/**
+ * Split a sentence with a hidden number into its two sides around '='
+ * (problem.operands already hold the hidden number)
+ * @param {Object} problem - Structured problem object
+ * @return {Object|null} { unknownSide, knownSide }, each { operands, operators } with the
+ *   unknownSide also giving the unknown's index within it, or null if the problem is not
+ *   an equation of numbers joined by + and -
+ */
+function getSides(problem) {
+  const equalsIndex = problem?.operators?.indexOf('=') ?? -1;
+  if (equalsIndex === -1 || problem.unknownIndex == null) {
+    return null;
+  }
+  const addsAndTakes = problem.operators.every(operator => ['+', '-', '='].includes(operator));
+  if (!addsAndTakes) {
+    return null;
+  }
+
+  const left = {
+    operands: problem.operands.slice(0, equalsIndex + 1),
+    operators: problem.operators.slice(0, equalsIndex),
+  };
+  const right = {
+    operands: problem.operands.slice(equalsIndex + 1),
+    operators: problem.operators.slice(equalsIndex + 1),
+  };
+  if (problem.unknownIndex <= equalsIndex) {
+    return { unknownSide: { ...left, unknownIndex: problem.unknownIndex }, knownSide: right };
+  }
+  return {
+    unknownSide: { ...right, unknownIndex: problem.unknownIndex - equalsIndex - 1 },
+    knownSide: left,
+  };
+}
+
+/**
+ * Split an amount into hops: ones when it is small enough to count, otherwise tens and then ones
+ * @param {number} amount - Amount to hop
+ * @param {number} sign - 1 to hop forward, -1 to hop back
+ * @param {boolean} [countOnes=false] - Whether amounts up to ten hop one at a time
+ * @return {Array<number>} Signed hops
+ */
+function getHops(amount, sign, countOnes = false) {
+  if (countOnes && amount <= 10) {
+    return Array(amount).fill(sign);
+  }
+  const hops = Array(Math.floor(amount / 10)).fill(10 * sign);
+  if (amount % 10) {
+    hops.push((amount % 10) * sign);
+  }
+  return hops;
+}
+
+/**
+ * Build a number line that hops from a start, with bounds on whole tens around every landing
+ * @param {number} start - First operand
+ * @param {Array<number>} hops - Signed hops
+ * @return {Object} { start, hops, min, max }
+ */
+function getNumberLine(start, hops) {
+  const positions = [start, ...getLandings({ start, hops })];
+  return {
+    start,
+    hops,
+    min: Math.floor(Math.min(...positions) / 10) * 10,
+    max: Math.ceil(Math.max(...positions) / 10) * 10,
+  };
+}
+
+// ===================================
+// WORKED SOLUTIONS
+// ===================================
+
+/**
+ * Get the worked solution shown after the last failed attempt, one step per tap
+ * The sentence is solved like its visual hint: sums count on, differences take objects
+ * away and three-number problems split through ten; a missing addend counts on from the
+ * known part to the whole and a missing subtrahend takes away until the rest is left.
+ * Balanced equations work out the known side first. Other problems just give the answer.
+ * @param {Object} problem - Structured problem object
+ * @return {Array<Object>} Steps: { key, params } translation descriptors with an optional visual
+ */
+export function getWorkedSolution(problem) {
+  const steps = getSolvingSteps(problem);
+  if (!steps) {
+    return [{ key: 'app.gameplay.answerIs', params: { answer: formatAnswer(problem) } }];
+  }
+  return [...steps, getAnswerStep(problem)];
+}
+
+/**
+ * Get the steps that find the hidden number of an addition or subtraction sentence
+ * @param {Object} problem - Structured problem object
+ * @return {Array<Object>|null} Steps without the closing answer, or null if none apply
+ */
+function getSolvingSteps(problem) {
+  const sides = getSides(problem);
+  if (!sides) {
+    return null;
+  }
+
+  // `a + b = ?`: work out the other side
+  const { unknownSide, knownSide } = sides;
+  if (unknownSide.operands.length === 1) {
+    return getCalculationSteps(knownSide);
+  }
+  if (unknownSide.operands.length !== 2) {
+    return null;
+  }
+
+  // `5 + 2 = ? + 4`: the known side gives the number the unknown side has to make
+  const steps = [];
+  const target = evaluateExpression(knownSide.operands, knownSide.operators);
+  if (knownSide.operands.length > 1) {
+    steps.push({
+      key: 'app.worked.firstSide',
+      params: {
+        equation: formatEquation([...knownSide.operands, target], [...knownSide.operators, '=']),
+      },
+    });
+  }
+
+  const [first, second] = unknownSide.operands;
+  if (unknownSide.operators[0] === '+') {
+    // `4 + ? = 9` and `? + 4 = 9` count on from the known part
+    const part = unknownSide.unknownIndex === 0 ? second : first;
+    return [...steps, ...getCountOnToSteps(part, target)];
+  }
+  if (unknownSide.unknownIndex === 0) {
+    // `? - 4 = 5`: the whole is what is left plus what was taken away
+    return [...steps, ...getCountOnSteps(target, second)];
+  }
+  // `12 - ? = 5`
+  return [...steps, ...getTakeAwayToSteps(first, target)];
+}
+
+// Steps working out `a + b`, `a - b` or a three-number expression
+function getCalculationSteps(side) {
+  const [first, second] = side.operands;
+  if (side.operands.length === 2) {
+    return side.operators[0] === '+'
+      ? getCountOnSteps(first, second)
+      : getTakeAwaySteps(first, second);
+  }
+  if (side.operands.length === 3) {
+    return getSplitThroughTenSteps(side.operands, side.operators);
+  }
+  return null;
+}
+
+// 8 + 5: start at 8, count on 5: 9, 10, 11, 12, 13
+function getCountOnSteps(first, amount) {
+  const line = getNumberLine(first, getHops(amount, 1, true));
+  return [
+    { key: 'app.worked.startAt', params: { number: first } },
+    {
+      key: 'app.worked.countOn',
+      params: { amount, counts: getLandings(line).join(', ') },
+      visual: { type: 'numberLine', ...line },
+    },
+  ];
+}
+
+// 4 + ? = 9: start at 4, count on to 9: 5, 6, 7, 8, 9 - that is 5 more
+function getCountOnToSteps(part, whole) {
+  const line = getNumberLine(part, getHops(whole - part, 1, true));
+  return [
+    { key: 'app.worked.startAt', params: { number: part } },
+    {
+      key: 'app.worked.countOnTo',
+      params: { number: whole, counts: getLandings(line).join(', ') },
+      visual: { type: 'numberLine', ...line },
+    },
+    { key: 'app.worked.countedOn', params: { amount: whole - part } },
+  ];
+}
+
+// 13 - 5: start with 13 counters and cross out 5; beyond ten frames, count back
+function getTakeAwaySteps(first, amount) {
+  if (first > TEN_FRAME_LIMIT) {
+    const line = getNumberLine(first, getHops(amount, -1));
+    return [
+      { key: 'app.worked.startAt', params: { number: first } },
+      {
+        key: 'app.worked.countBack',
+        params: { amount, counts: getLandings(line).join(', ') },
+        visual: { type: 'numberLine', ...line },
+      },
+    ];
+  }
+
+  return [
+    {
+      key: 'app.worked.startWith',
+      params: { number: first },
+      visual: { type: 'tenFrames', first, second: 0, operator: '-' },
+    },
+    {
+      key: 'app.worked.takeAway',
+      params: { amount },
+      visual: { type: 'tenFrames', first, second: amount, operator: '-' },
+    },
+    { key: 'app.worked.left', params: { number: first - amount } },
+  ];
+}
+
+// 12 - ? = 5: start with 12 counters and cross out until 5 are left - that is 7 taken away
+function getTakeAwayToSteps(first, rest) {
+  const amount = first - rest;
+  if (first > TEN_FRAME_LIMIT) {
+    const line = getNumberLine(first, getHops(amount, -1));
+    return [
+      { key: 'app.worked.startAt', params: { number: first } },
+      {
+        key: 'app.worked.countBackTo',
+        params: { number: rest, counts: getLandings(line).join(', ') },
+        visual: { type: 'numberLine', ...line },
+      },
+      { key: 'app.worked.countedBack', params: { amount } },
+    ];
+  }
+
+  return [
+    {
+      key: 'app.worked.startWith',
+      params: { number: first },
+      visual: { type: 'tenFrames', first, second: 0, operator: '-' },
+    },
+    {
+      key: 'app.worked.takeAwayUntil',
+      params: { number: rest },
+      visual: { type: 'tenFrames', first, second: amount, operator: '-' },
+    },
+    { key: 'app.worked.tookAway', params: { amount } },
+  ];
+}
+
+// 8 + 5 - 4: split 5 into 2 and 3 (8 + 2 = 10, 10 + 3 = 13), then 13 - 4 splits into 3 and 1
+function getSplitThroughTenSteps(operands, operators) {
+  const steps = [];
+  let total = operands[0];
+  operators.forEach((operator, index) => {
+    const number = operands[index + 1];
+    const result = operator === '+' ? total + number : total - number;
+    // Part of the number that reaches the nearest ten in the direction of the operator
+    const fill = operator === '+' ? (10 - (total % 10)) % 10 : total % 10;
+
+    if (fill > 0 && number > fill) {
+      steps.push({
+        key: operator === '+' ? 'app.worked.splitAdd' : 'app.worked.splitSubtract',
+        params: {
+          number,
+          fill,
+          rest: number - fill,
+          total,
+          ten: operator === '+' ? total + fill : total - fill,
+          result,
+        },
+      });
+    } else {
+      steps.push({
+        key: 'app.worked.calculate',
+        params: { equation: formatEquation([total, number, result], [operator, '=']) },
+      });
+    }
+    total = result;
+  });
+  return steps;
+}
+
+function getAnswerStep(problem) {
+  return {
+    key: 'app.worked.answer',
+    params: { equation: formatEquation(problem.operands, problem.operators) },
+  };
+}
+
+// Numbers a number line lands on, hop by hop
+function getLandings(line) {
+  const landings = [];
+  let position = line.start;
+  for (const hop of line.hops) {
+    position += hop;
+    landings.push(position);
+  }
+  return landings;
+}
+
+// `8 + 5 = 13`
+function formatEquation(operands, operators) {
+  return operands
+    .map((operand, index) =>
+      index < operators.length ? `${operand} ${operators[index]}` : operand
+    )
+    .join(' ');
+}
@@ -0,0 +1,88 @@
+/**
+ * Mixed Mode Presets
+ * Named weightings for mixed mode (e.g. "Subtraction focus": 50% subtraction,
+ * 30% addition, 20% counting), saved in local storage like the language setting
+ */
+
+// Local storage key holding the presets as JSON
+export const MIX_PRESETS_STORAGE_KEY = 'mixPresets';
+
+// Longest preset name accepted
+export const MAX_PRESET_NAME_LENGTH = 30;
+
+/**
+ * Keep only usable weights: finite, positive numbers keyed by mode id
+ * @param {Object} weights - Weight per problem type id
+ * @return {Object} Cleaned weights
+ */
+export function sanitizeMixWeights(weights) {
+  const sanitized = {};
+  for (const [id, value] of Object.entries(weights || {})) {
+    const weight = Number(value);
+    if (Number.isFinite(weight) && weight > 0) {
+      sanitized[id] = weight;
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Load the saved presets
+ * @return {Object} Weights keyed by preset name (empty if nothing valid is saved)
+ */
+export function loadMixPresets() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(MIX_PRESETS_STORAGE_KEY));
+  } catch (error) {
+    console.warn('Ignoring unreadable mixed mode presets:', error);
+    return {};
+  }
+
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+    return {};
+  }
+
+  const presets = {};
+  for (const [name, weights] of Object.entries(saved)) {
+    presets[name] = sanitizeMixWeights(weights);
+  }
+  return presets;
+}
+
+/**
+ * Save a preset, replacing any preset with the same name
+ * @param {string} name - Preset name
+ * @param {Object} weights - Weight per problem type id
+ * @return {Object} All presets after saving
+ */
+export function saveMixPreset(name, weights) {
+  const presetName = typeof name === 'string' ? name.trim() : '';
+  if (!presetName) {
+    throw new Error('Preset name must be a non-empty string');
+  }
+  if (presetName.length > MAX_PRESET_NAME_LENGTH) {
+    throw new Error(`Preset name must be at most ${MAX_PRESET_NAME_LENGTH} characters`);
+  }
+
+  const sanitized = sanitizeMixWeights(weights);
+  if (Object.keys(sanitized).length === 0) {
+    throw new Error('Preset must give at least one mode a positive weight');
+  }
+
+  const presets = { ...loadMixPresets(), [presetName]: sanitized };
+  localStorage.setItem(MIX_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+/**
+ * Delete a preset
+ * @param {string} name - Preset name
+ * @return {Object} All presets after deleting
+ */
+export function deleteMixPreset(name) {
+  const presets = loadMixPresets();
+  delete presets[name];
+  localStorage.setItem(MIX_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+}
@@ -1,62 +1,398 @@
 /**
  * Problem Generator Functions
  * Functions for generating math problems with different operations and difficulties
+ *
+ * Every generator takes (difficulty, difficultySettings, options). options.random is the
+ * random number source (defaults to Math.random); pass a seeded one from createRandom
+ * in utils.js to reproduce a problem sequence.
+ *
+ * Problems are plain data, never HTML. A problem object has:
+ * - operands: numbers of the number sentence, left to right (including the result)
+ * - operators: symbols between consecutive operands ('+', '-', '=')
+ * - unknownIndex: index of the operand the child has to find, or null
+ * - unknownOperatorIndex: optional index of the operator the child has to find instead
+ * - answer: the expected answer
+ * - input: optional kind of answer ('number' by default, 'symbol' for <, = and >,
+ *   'trueFalse' for a boolean answer, 'time' for H:MM, 'choice' for multiple choice)
+ * - choices: for multiple choice, [{ id, visual? }]; the answer is the id of the right one
+ * - prompt: optional { key, params } translation shown above the problem
+ * - visual: optional payload such as { type: 'objects', item, count, groupSize }
+ * problemRenderer.js turns this into DOM nodes or plain text.
  */
 
-import { getRandomNumber } from './utils.js';
+import {
+  getRandomNumber,
+  getRandomItem,
+  getRandomSample,
+  getWeightedRandomItem,
+  formatClockTime,
+} from './utils.js';
+import {
+  registerProblemType,
+  getProblemType,
+  getMixableProblemTypes,
+  isRegroupingAvailable,
+} from './problemRegistry.js';
+import { DEFAULT_COIN_SET } from './coins.js';
+import { getFactKey } from './problemScheduler.js';
 
 // Emoji array moved to a constant to avoid duplication
 const EMOJIS = ['🍎', '🍕', '🐶', '🐱', '🦄', '🍦', '🚗', '🌈', '⭐'];
 
+// Dot drawn by the dot and ten-frame patterns of subitizing problems
+const SUBITIZING_DOT = '🔴';
+
 /**
- * Generate an addition problem based on difficulty
+ * Patterns flashed by subitizing problems, keyed by name
+ * Each turns a count (1-10) into the visual that shows it
+ */
+export const SUBITIZING_PATTERNS = {
+  dots: count => ({ type: 'objects', item: SUBITIZING_DOT, count, layout: 'dice' }),
+  fingers: count => ({ type: 'fingers', count }),
+  tenFrame: count => ({ type: 'objects', item: SUBITIZING_DOT, count, layout: 'tenFrame' }),
+};
+
+/**
+ * Positions the unknown can take in a two-operand equation
+ * 'result' is the classic `a + b = ?`, 'first'/'second' hide an operand,
+ * 'operand' picks one of the operands and 'any' picks any of the three
+ */
+export const UNKNOWN_POSITIONS = ['result', 'first', 'second', 'operand', 'any'];
+
+/**
+ * Resolve a requested unknown position to a concrete one
+ * @param {string} unknownPosition - One of UNKNOWN_POSITIONS
+ * @param {Function} random - Random number source
+ * @return {string} 'result', 'first' or 'second'
+ */
+function resolveUnknownPosition(unknownPosition = 'result', random = Math.random) {
+  switch (unknownPosition) {
+  case 'first':
+  case 'second':
+    return unknownPosition;
+  case 'operand':
+    return getRandomItem(['first', 'second'], random);
+  case 'any':
+    return getRandomItem(['result', 'first', 'second'], random);
+  default:
+    return 'result';
+  }
+}
+
+/**
+ * Regrouping (carry/borrow) constraints for addition and subtraction
+ * 'any' applies no constraint, 'none' avoids regrouping, 'only' requires it and
+ * 'crossTen' requires bridging through a ten (e.g. 8 + 5, 13 - 5) rather than landing on one
+ */
+export const REGROUPING_OPTIONS = ['any', 'none', 'only', 'crossTen'];
+
+// How many candidates to try before giving up on a regrouping constraint
+const MAX_CONSTRAINT_ATTEMPTS = 200;
+
+/**
+ * Check whether a single addition or subtraction step needs regrouping
+ * Addition carries when the ones add up to ten or more,
+ * subtraction borrows when the ones being taken away are larger
+ * @param {number} num1 - First number
+ * @param {string} operator - '+' or '-'
+ * @param {number} num2 - Second number
+ * @return {boolean} True if the step carries or borrows
+ */
+export function needsRegrouping(num1, operator, num2) {
+  const ones1 = num1 % 10;
+  const ones2 = num2 % 10;
+  return operator === '-' ? ones1 < ones2 : ones1 + ones2 >= 10;
+}
+
+/**
+ * Check whether a single addition or subtraction step bridges through a ten
+ * e.g. 8 + 5 passes 10 on the way to 13, while 7 + 3 only lands on 10
+ * @param {number} num1 - First number
+ * @param {string} operator - '+' or '-'
+ * @param {number} num2 - Second number
+ * @return {boolean} True if the step crosses a multiple of ten
+ */
+export function crossesTen(num1, operator, num2) {
+  const ones1 = num1 % 10;
+  const ones2 = num2 % 10;
+  return operator === '-' ? ones1 > 0 && ones1 < ones2 : ones1 + ones2 > 10;
+}
+
+/**
+ * Check whether a left-to-right chain of steps satisfies a regrouping constraint
+ * @param {Array<number>} operands - Numbers of the expression
+ * @param {Array<string>} operators - '+' or '-' between consecutive numbers
+ * @param {string} [regrouping='any'] - One of REGROUPING_OPTIONS
+ * @return {boolean} True if the expression satisfies the constraint
+ */
+export function matchesRegrouping(operands, operators, regrouping = 'any') {
+  if (regrouping === 'any') {
+    return true;
+  }
+
+  let total = operands[0];
+  let regroups = false;
+  let crosses = false;
+  operators.forEach((operator, index) => {
+    const next = operands[index + 1];
+    regroups = regroups || needsRegrouping(total, operator, next);
+    crosses = crosses || crossesTen(total, operator, next);
+    total = operator === '-' ? total - next : total + next;
+  });
+
+  switch (regrouping) {
+  case 'none':
+    return !regroups;
+  case 'only':
+    return regroups;
+  case 'crossTen':
+    return crosses;
+  default:
+    return true;
+  }
+}
+
+/**
+ * Pick candidates until one satisfies a constraint
+ * Falls back to the last candidate (with a warning) when the number ranges
+ * cannot satisfy the constraint, so a problem is always produced
+ * @param {Function} pick - Returns a new candidate
+ * @param {Function} matches - Returns true if a candidate is acceptable
+ * @return {*} The chosen candidate
+ */
+function pickMatching(pick, matches) {
+  let candidate = pick();
+  for (let attempt = 1; attempt < MAX_CONSTRAINT_ATTEMPTS && !matches(candidate); attempt++) {
+    candidate = pick();
+  }
+
+  if (!matches(candidate)) {
+    console.warn('Could not satisfy the problem constraint with the current number ranges');
+  }
+  return candidate;
+}
+
+/**
+ * Check whether some whole number in a range passes a test
+ * @param {number} min - Smallest number
+ * @param {number} max - Largest number
+ * @param {Function} test - (number) => boolean
+ * @return {boolean} True if a number in the range passes
+ */
+function someInRange(min, max, test) {
+  for (let number = min; number <= max; number++) {
+    if (test(number)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether the addition ranges of a difficulty contain a pair meeting a regrouping sub-level
+ * (e.g. easy addition can cross ten with 8 + 5)
  * @param {string} difficulty - Difficulty level (easy, medium, hard)
  * @param {Object} difficultySettings - Settings for different difficulties
- * @return {Object} Problem object with question and answer
+ * @param {string} regrouping - One of REGROUPING_OPTIONS
+ * @return {boolean} True if the sub-level can be met
  */
-export function generateAdditionProblem(difficulty, difficultySettings) {
+export function canRegroupAddition(difficulty, difficultySettings, regrouping) {
   const settings = difficultySettings.addition[difficulty];
-  const num1 = getRandomNumber(settings.min1, settings.max1);
-  const num2 = getRandomNumber(settings.min2, settings.max2);
+  return someInRange(settings.min1, settings.max1, num1 =>
+    someInRange(settings.min2, settings.max2, num2 =>
+      matchesRegrouping([num1, num2], ['+'], regrouping)
+    )
+  );
+}
 
+/**
+ * Check whether the subtraction ranges of a difficulty contain a pair meeting a regrouping
+ * sub-level (e.g. easy subtraction never crosses ten: the first number is at most 10)
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {string} regrouping - One of REGROUPING_OPTIONS
+ * @return {boolean} True if the sub-level can be met
+ */
+export function canRegroupSubtraction(difficulty, difficultySettings, regrouping) {
+  const settings = difficultySettings.subtraction[difficulty];
+  return someInRange(settings.min1, settings.max1, num1 =>
+    someInRange(settings.min2, Math.min(settings.max2, num1), num2 =>
+      matchesRegrouping([num1, num2], ['-'], regrouping)
+    )
+  );
+}
+
+// Missing-number problems are additions or subtractions, so both have to meet the sub-level
+function canRegroupMissingNumber(difficulty, difficultySettings, regrouping) {
+  return (
+    canRegroupAddition(difficulty, difficultySettings, regrouping) &&
+    canRegroupSubtraction(difficulty, difficultySettings, regrouping)
+  );
+}
+
+// Mixed mode meets a sub-level when every mode it may pick that honours sub-levels does
+function canRegroupMixed(difficulty, difficultySettings, regrouping, options = {}) {
+  return resolveMixWeights(options.mixWeights)
+    .filter(({ problemType }) => problemType.supportsRegrouping)
+    .every(({ problemType }) =>
+      isRegroupingAvailable(problemType.id, difficulty, regrouping, options)
+    );
+}
+
+// Operand index of each concrete unknown position in `a op b = c`
+const UNKNOWN_POSITION_INDEXES = { first: 0, second: 1, result: 2 };
+
+/**
+ * Create a structured equation problem
+ * @param {Array<number>} operands - Numbers of the equation, left to right
+ * @param {Array<string>} operators - Symbols between consecutive operands
+ * @param {number} unknownIndex - Index of the operand the child has to find
+ * @param {Object} [extra] - Additional problem properties (e.g. type)
+ * @return {Object} Problem object
+ */
+export function createEquationProblem(operands, operators, unknownIndex, extra = {}) {
   return {
-    originalQuestion: `${num1} + ${num2} = ?`,
-    question: `${num1} + ${num2} = ?`,
-    answer: num1 + num2,
+    operands,
+    operators,
+    unknownIndex,
+    answer: operands[unknownIndex],
+    prompt: null,
+    visual: null,
+    ...extra,
   };
 }
 
+/**
+ * Build a two-operand equation with the unknown in the requested position
+ * @param {number} num1 - First operand
+ * @param {string} operator - Operator symbol ('+' or '-')
+ * @param {number} num2 - Second operand
+ * @param {number} result - Result of the equation
+ * @param {string} position - 'result', 'first' or 'second'
+ * @return {Object} Problem object
+ */
+function buildTwoOperandProblem(num1, operator, num2, result, position) {
+  return createEquationProblem(
+    [num1, num2, result],
+    [operator, '='],
+    UNKNOWN_POSITION_INDEXES[position]
+  );
+}
+
+/**
+ * Generate an addition problem based on difficulty
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.unknownPosition='result'] - Where to put the unknown (see UNKNOWN_POSITIONS)
+ * @param {string} [options.regrouping='any'] - Carry constraint (see REGROUPING_OPTIONS)
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateAdditionProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.addition[difficulty];
+  const [num1, num2] = pickMatching(
+    () => [
+      getRandomNumber(settings.min1, settings.max1, random),
+      getRandomNumber(settings.min2, settings.max2, random),
+    ],
+    operands => matchesRegrouping(operands, ['+'], options.regrouping)
+  );
+  const position = resolveUnknownPosition(options.unknownPosition, random);
+
+  return buildTwoOperandProblem(num1, '+', num2, num1 + num2, position);
+}
+
 /**
  * Generate a subtraction problem based on difficulty
  * @param {string} difficulty - Difficulty level (easy, medium, hard)
  * @param {Object} difficultySettings - Settings for different difficulties
- * @return {Object} Problem object with question and answer
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.unknownPosition='result'] - Where to put the unknown (see UNKNOWN_POSITIONS)
+ * @param {string} [options.regrouping='any'] - Borrow constraint (see REGROUPING_OPTIONS)
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
  */
-export function generateSubtractionProblem(difficulty, difficultySettings) {
+export function generateSubtractionProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
   const settings = difficultySettings.subtraction[difficulty];
-  // Ensure the result is never negative
-  const num1 = getRandomNumber(settings.min1, settings.max1);
-  const num2 = getRandomNumber(settings.min2, Math.min(settings.max2, num1));
+  const [num1, num2] = pickMatching(
+    () => {
+      // Ensure the result is never negative
+      const first = getRandomNumber(settings.min1, settings.max1, random);
+      return [first, getRandomNumber(settings.min2, Math.min(settings.max2, first), random)];
+    },
+    operands => matchesRegrouping(operands, ['-'], options.regrouping)
+  );
+  const position = resolveUnknownPosition(options.unknownPosition, random);
 
-  return {
-    originalQuestion: `${num1} - ${num2} = ?`,
-    question: `${num1} - ${num2} = ?`,
-    answer: num1 - num2,
-  };
+  return buildTwoOperandProblem(num1, '-', num2, num1 - num2, position);
+}
+
+/**
+ * Generate an addition fact that suits a mental strategy: a double (`6 + 6`),
+ * a near double (`6 + 7`) or a make-ten fact (`9 + 4`)
+ * problem.strategy names the strategy so hints.js can explain it after a miss.
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateStrategyProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.strategy[difficulty];
+  const strategy = getRandomItem(settings.strategies, random);
+
+  let num1;
+  let num2;
+  if (strategy === 'double') {
+    num1 = getRandomNumber(settings.min, settings.max, random);
+    num2 = num1;
+  } else if (strategy === 'nearDouble') {
+    const smaller = getRandomNumber(settings.min, settings.max - 1, random);
+    [num1, num2] = random() < 0.5 ? [smaller, smaller + 1] : [smaller + 1, smaller];
+  } else {
+    // The bigger addend is close to ten and the sum crosses it (9 + 4, 8 + 5, ...)
+    const bigger = getRandomItem(settings.makeTenAddends, random);
+    const smaller = getRandomNumber(11 - bigger, 9, random);
+    [num1, num2] = random() < 0.5 ? [bigger, smaller] : [smaller, bigger];
+  }
+
+  return { ...buildTwoOperandProblem(num1, '+', num2, num1 + num2, 'result'), strategy };
+}
+
+/**
+ * Generate a missing-number problem such as `? + 4 = 9`, `3 + ? = 7` or `12 - ? = 5`
+ * Uses the addition and subtraction number ranges, with the unknown always in an operand
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options (random)
+ * @return {Object} Problem object
+ */
+export function generateMissingNumberProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const generator = getRandomItem([generateAdditionProblem, generateSubtractionProblem], random);
+  return generator(difficulty, difficultySettings, { ...options, unknownPosition: 'operand' });
 }
 
 /**
  * Generate a problem with three numbers using addition and/or subtraction
  * @param {string} difficulty - Difficulty level (easy, medium, hard)
  * @param {Object} difficultySettings - Settings for different difficulties
- * @return {Object} Problem object with question and answer
+ * @param {Object} [options] - Generation options (random)
+ * @param {string} [options.regrouping='any'] - Constraint applied to either step (see REGROUPING_OPTIONS)
+ * @return {Object} Problem object
  */
-export function generateThreeNumberProblem(difficulty, difficultySettings) {
+export function generateThreeNumberProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+
   // Check if threeNumber settings exist in difficultySettings
   if (!difficultySettings.threeNumber) {
     console.error('ERROR: threeNumber settings not found in difficultySettings');
     // Fallback to addition if settings are missing
-    return generateAdditionProblem(difficulty, difficultySettings);
+    return generateAdditionProblem(difficulty, difficultySettings, options);
   }
 
   const settings = difficultySettings.threeNumber[difficulty];
@@ -64,12 +400,32 @@ export function generateThreeNumberProblem(difficulty, difficultySettings) {
   if (!settings) {
     console.error(`ERROR: No settings found for difficulty '${difficulty}' in threeNumber mode`);
     // Fallback to addition if settings are missing
-    return generateAdditionProblem(difficulty, difficultySettings);
+    return generateAdditionProblem(difficulty, difficultySettings, options);
   }
 
-  const num1 = getRandomNumber(settings.min1, settings.max1);
-  const num2 = getRandomNumber(settings.min2, settings.max2);
-  const num3 = getRandomNumber(settings.min3, settings.max3);
+  const { operands, operators } = pickMatching(
+    () => pickThreeNumberExpression(settings, random),
+    expression => matchesRegrouping(expression.operands, expression.operators, options.regrouping)
+  );
+
+  return createEquationProblem(
+    [...operands, evaluateExpression(operands, operators)],
+    [...operators, '='],
+    operands.length,
+    { type: 'threeNumber' } // Add a type marker to identify this as a three-number problem
+  );
+}
+
+/**
+ * Pick the numbers and operators of a three-number expression
+ * @param {Object} settings - threeNumber settings for the current difficulty
+ * @param {Function} random - Random number source
+ * @return {Object} { operands, operators } with non-negative intermediate results
+ */
+function pickThreeNumberExpression(settings, random) {
+  const num1 = getRandomNumber(settings.min1, settings.max1, random);
+  const num2 = getRandomNumber(settings.min2, settings.max2, random);
+  const num3 = getRandomNumber(settings.min3, settings.max3, random);
 
   // Randomly choose problem type:
   // 1. a + b + c
@@ -78,14 +434,14 @@ export function generateThreeNumberProblem(difficulty, difficultySettings) {
   // Exclude a - b - c because it might result in negative numbers more easily
 
   // Randomly choose problem type from 1-3
-  const problemType = getRandomNumber(1, 3);
+  const problemType = getRandomNumber(1, 3, random);
 
-  let question, answer;
+  let operands, operators;
 
   switch (problemType) {
   case 1: // a + b + c
-    question = `${num1} + ${num2} + ${num3} = ?`;
-    answer = num1 + num2 + num3;
+    operands = [num1, num2, num3];
+    operators = ['+', '+'];
     break;
 
   case 2: // a + b - c
@@ -93,155 +449,971 @@ export function generateThreeNumberProblem(difficulty, difficultySettings) {
     if (num1 + num2 <= num3) {
       // Adjust num3 to be smaller than num1 + num2
       const maxNum3 = Math.max(1, num1 + num2 - 1);
-      const adjustedNum3 = getRandomNumber(1, maxNum3);
-      question = `${num1} + ${num2} - ${adjustedNum3} = ?`;
-      answer = num1 + num2 - adjustedNum3;
+      operands = [num1, num2, getRandomNumber(1, maxNum3, random)];
     } else {
-      question = `${num1} + ${num2} - ${num3} = ?`;
-      answer = num1 + num2 - num3;
+      operands = [num1, num2, num3];
     }
+    operators = ['+', '-'];
     break;
 
   case 3: // a - b + c
     // Ensure a > b to avoid negative intermediate results
     if (num1 <= settings.min2) {
       // If num1 is too small, use a simple addition problem instead
-      question = `${num1} + ${num2} + ${num3} = ?`;
-      answer = num1 + num2 + num3;
+      operands = [num1, num2, num3];
+      operators = ['+', '+'];
     } else {
       const safeMax = Math.max(1, num1 - 1);
-      const adjustedNum2 = getRandomNumber(settings.min2, Math.min(settings.max2, safeMax));
-      question = `${num1} - ${adjustedNum2} + ${num3} = ?`;
-      answer = num1 - adjustedNum2 + num3;
+      const adjustedNum2 = getRandomNumber(
+        settings.min2,
+        Math.min(settings.max2, safeMax),
+        random
+      );
+      operands = [num1, adjustedNum2, num3];
+      operators = ['-', '+'];
     }
     break;
   }
 
-  return {
-    originalQuestion: question,
-    question: question,
-    answer: answer,
-    type: 'threeNumber', // Add a type marker to identify this as a three-number problem
-  };
+  return { operands, operators };
+}
+
+/**
+ * Evaluate a left-to-right chain of additions and subtractions
+ * @param {Array<number>} operands - Numbers of the expression
+ * @param {Array<string>} operators - '+' or '-' between consecutive numbers
+ * @return {number} Result of the expression
+ */
+export function evaluateExpression(operands, operators) {
+  return operators.reduce(
+    (total, operator, index) =>
+      operator === '-' ? total - operands[index + 1] : total + operands[index + 1],
+    operands[0]
+  );
 }
 
+/**
+ * Layouts of counting objects
+ * 'rows' and the ten-frame and dice patterns are organized, 'scattered' is not
+ */
+export const COUNTING_LAYOUTS = ['rows', 'tenFrame', 'dice', 'scattered'];
+
+// Scattered objects sit in random cells of a grid this many cells wide,
+// with about a third of the cells left empty
+const SCATTER_COLUMNS = 6;
+const SCATTER_SPREAD = 1.5;
+
 /**
  * Generate a counting problem based on difficulty
+ * The difficulty picks the layout: organized patterns first, scattered objects later
  * @param {string} difficulty - Difficulty level (easy, medium, hard)
  * @param {Object} difficultySettings - Settings for different difficulties
- * @return {Object} Problem object with question and answer
+ * @param {Object} [options] - Generation options (random)
+ * @return {Object} Problem object
  */
-export function generateCountingProblem(difficulty, difficultySettings) {
+export function generateCountingProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
   const settings = difficultySettings.counting[difficulty];
-  const count = getRandomNumber(settings.min, settings.max);
+  const count = getRandomNumber(settings.min, settings.max, random);
 
   // Select a random emoji
-  const randomEmoji = EMOJIS[Math.floor(Math.random() * EMOJIS.length)];
-
-  let emojiString = '';
-  for (let i = 0; i < count; i++) {
-    emojiString += randomEmoji + ' ';
-    // Add a line break for better grouping in harder levels
-    if (difficulty !== 'easy' && i % 5 === 4) {
-      emojiString += '<br>';
-    }
+  const randomEmoji = getRandomItem(EMOJIS, random);
+  const layout = getRandomItem(settings.layouts, random);
+
+  const visual = { type: 'objects', item: randomEmoji, count, layout };
+  if (layout === 'rows') {
+    // Group in rows of five for better grouping in harder levels
+    visual.groupSize = difficulty !== 'easy' ? 5 : null;
+  } else if (layout === 'scattered') {
+    Object.assign(visual, scatterObjects(count, random));
   }
 
-  const countingQuestion = `How many ${randomEmoji}?<br>${emojiString}`;
   return {
-    originalQuestion: countingQuestion,
-    question: countingQuestion,
+    operands: [],
+    operators: [],
+    unknownIndex: null,
     answer: count,
+    prompt: { key: 'app.gameplay.countingQuestion', params: { item: randomEmoji } },
+    visual,
+    // Scattered positions differ every time, so the fact is the item and its count
+    factKey: `counting:${randomEmoji}:${count}`,
   };
 }
 
 /**
- * Generate a problem based on the current game mode
+ * Place objects at random, non-overlapping spots
+ * Each object takes a different grid cell and is nudged off the cell's center
+ * @param {number} count - Number of objects
+ * @param {Function} random - Random number source
+ * @return {Object} { columns, rows, positions } with positions in cell units ({ x, y })
+ */
+function scatterObjects(count, random) {
+  const columns = SCATTER_COLUMNS;
+  const rows = Math.max(3, Math.ceil((count * SCATTER_SPREAD) / columns));
+  const cells = Array.from({ length: columns * rows }, (_, index) => index);
+  const nudge = () => Math.round((0.25 + random() * 0.5) * 100) / 100;
+
+  const positions = getRandomSample(cells, count, random).map(cell => ({
+    x: (cell % columns) + nudge(),
+    y: Math.floor(cell / columns) + nudge(),
+  }));
+
+  return { columns, rows, positions };
+}
+
+/**
+ * Generate a subitizing problem: a dot, finger or ten-frame pattern is shown for
+ * flashMs milliseconds and then hidden, so the amount is recognized rather than counted
  * @param {string} difficulty - Difficulty level (easy, medium, hard)
  * @param {Object} difficultySettings - Settings for different difficulties
- * @param {string} gameMode - Current game mode
- * @param {Object} [generators] - Optional generator functions for testing
- * @return {Object} Problem object with question and answer
- */
-export function generateProblemByMode(
-  difficulty,
-  difficultySettings,
-  gameMode,
-  generators = {
-    addition: generateAdditionProblem,
-    subtraction: generateSubtractionProblem,
-    counting: generateCountingProblem,
-    threeNumber: generateThreeNumberProblem,
-  }
-) {
-  let problem;
-
-  switch (gameMode) {
-  case 'addition':
-    problem = generators.addition(difficulty, difficultySettings);
-    break;
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateSubitizingProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.subitizing[difficulty];
+  const count = getRandomNumber(settings.min, settings.max, random);
+  const pattern = getRandomItem(settings.patterns, random);
 
-  case 'subtraction':
-    problem = generators.subtraction(difficulty, difficultySettings);
-    break;
+  return {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    answer: count,
+    prompt: { key: 'app.gameplay.subitizingQuestion', params: {} },
+    visual: SUBITIZING_PATTERNS[pattern](count),
+    flashMs: settings.flashMs,
+  };
+}
 
-  case 'threeNumber':
-    try {
-      problem = generators.threeNumber(difficulty, difficultySettings);
-    } catch (err) {
-      console.error('ERROR generating threeNumber problem:', err);
-      // Create a simple three-number problem as fallback
-      // DO NOT fallback to addition - this would make a two-number problem
-
-      // Get the settings or use defaults
-      const settings =
-          difficultySettings.threeNumber && difficultySettings.threeNumber[difficulty]
-            ? difficultySettings.threeNumber[difficulty]
-            : { min1: 1, max1: 10, min2: 1, max2: 5, min3: 1, max3: 5 };
-
-      // Generate three random numbers
-      const getRandomNum = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-      const num1 = getRandomNum(settings.min1, settings.max1);
-      const num2 = getRandomNum(settings.min2, settings.max2);
-      const num3 = getRandomNum(settings.min3, settings.max3);
-
-      // Create a simple a + b + c problem
-      const question = `${num1} + ${num2} + ${num3} = ?`;
-
-      problem = {
-        originalQuestion: question,
-        question: question,
-        answer: num1 + num2 + num3,
-        type: 'threeNumber',
-      };
-    }
-    break;
+/**
+ * Generate a money problem: count the value of a group of coins
+ * Like counting, but each object is worth its coin value
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @param {string} [options.coinSet='usd'] - Coin set to draw from (see src/coins.js)
+ * @return {Object} Problem object
+ */
+export function generateMoneyProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const coinSet = options.coinSet || DEFAULT_COIN_SET;
+  const settings = difficultySettings.money[difficulty];
+  const denominations = settings.denominations[coinSet];
+  const count = getRandomNumber(settings.minCoins, settings.maxCoins, random);
 
-  case 'mixed': {
-    // Randomly choose between addition, subtraction, and threeNumber
-    const randomValue = Math.random();
-    if (randomValue < 0.33) {
-      problem = generators.addition(difficulty, difficultySettings);
-    } else if (randomValue < 0.67) {
-      problem = generators.subtraction(difficulty, difficultySettings);
-    } else {
-      problem = generators.threeNumber(difficulty, difficultySettings);
-    }
-    break;
+  // Largest coins first, the way children are taught to count money
+  const coins = Array.from({ length: count }, () => getRandomItem(denominations, random)).sort(
+    (a, b) => b - a
+  );
+
+  return {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    answer: coins.reduce((total, coin) => total + coin, 0),
+    prompt: { key: `app.money.${coinSet}.question`, params: {} },
+    visual: { type: 'coins', coinSet, coins },
+  };
+}
+
+// Questions a graph problem can ask (see generateGraphProblem)
+export const GRAPH_QUESTIONS = ['howMany', 'howManyMore', 'total'];
+
+/**
+ * Generate a graph-reading problem: a small dataset of emoji categories shown as
+ * a picture graph or tally chart, with a question about one, two or all categories
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateGraphProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.graph[difficulty];
+
+  // Different counts for every category, so "how many more" never has a tie
+  const counts = getRandomSample(
+    Array.from({ length: settings.maxCount }, (_, index) => index + 1),
+    settings.categories,
+    random
+  );
+  const categories = getRandomSample(EMOJIS, settings.categories, random).map((item, index) => ({
+    item,
+    count: counts[index],
+  }));
+  const chart = getRandomItem(settings.charts, random);
+  const question = getRandomItem(settings.questions, random);
+
+  const problem = {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    visual: { type: 'graph', chart, categories },
+  };
+
+  if (question === 'howMany') {
+    const { item, count } = getRandomItem(categories, random);
+    return {
+      ...problem,
+      answer: count,
+      prompt: { key: 'app.gameplay.graphHowMany', params: { item } },
+    };
+  }
+  if (question === 'howManyMore') {
+    const [first, second] = getRandomSample(categories, 2, random);
+    const [more, fewer] = first.count > second.count ? [first, second] : [second, first];
+    return {
+      ...problem,
+      answer: more.count - fewer.count,
+      prompt: {
+        key: 'app.gameplay.graphHowManyMore',
+        params: { more: more.item, fewer: fewer.item },
+      },
+    };
   }
+  return {
+    ...problem,
+    answer: categories.reduce((total, category) => total + category.count, 0),
+    prompt: { key: 'app.gameplay.graphTotal', params: {} },
+  };
+}
 
-  case 'counting':
-    problem = generators.counting(difficulty, difficultySettings);
-    break;
+// Number of sides (and corners) of the polygons shape problems draw
+export const SHAPE_SIDES = { triangle: 3, square: 4, rectangle: 4, pentagon: 5, hexagon: 6 };
 
-  default:
+// Shapes that can be split into equal parts
+export const PARTITIONABLE_SHAPES = ['circle', 'square', 'rectangle'];
+
+// Ids of multiple-choice answers, in the order the choices are shown
+export const CHOICE_IDS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Generate a shape problem: count the sides or corners of a shape, count the equal
+ * parts of a split shape, or pick the shape split into halves (or quarters)
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateShapeProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.shape[difficulty];
+  const question = getRandomItem(settings.questions, random);
+
+  const problem = {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    visual: null,
+  };
+
+  if (question === 'sides' || question === 'corners') {
+    const shape = getRandomItem(settings.shapes, random);
+    return {
+      ...problem,
+      answer: SHAPE_SIDES[shape],
+      prompt: { key: `app.gameplay.${question}Question`, params: {} },
+      visual: { type: 'shape', shape, parts: 1, equal: true },
+    };
+  }
+
+  const parts = getRandomItem(settings.splits, random);
+  if (question === 'parts') {
+    return {
+      ...problem,
+      answer: parts,
+      prompt: { key: 'app.gameplay.partsQuestion', params: {} },
+      visual: {
+        type: 'shape',
+        shape: getRandomItem(PARTITIONABLE_SHAPES, random),
+        parts,
+        equal: true,
+      },
+    };
+  }
+
+  // Pick the equal split among a split with unequal parts and a split into other parts
+  const otherParts = parts === 2 ? 4 : 2;
+  const splits = getRandomSample(
+    [
+      { parts, equal: true },
+      { parts, equal: false },
+      { parts: otherParts, equal: true },
+    ],
+    3,
+    random
+  );
+  const choices = splits.map((split, index) => ({
+    id: CHOICE_IDS[index],
+    visual: { type: 'shape', shape: getRandomItem(PARTITIONABLE_SHAPES, random), ...split },
+  }));
+
+  return {
+    ...problem,
+    answer: CHOICE_IDS[splits.findIndex(split => split.parts === parts && split.equal)],
+    input: 'choice',
+    choices,
+    prompt: { key: `app.gameplay.${parts === 2 ? 'halves' : 'quarters'}Question`, params: {} },
+  };
+}
+
+/**
+ * Get the symbol that makes `num1 ? num2` true
+ * @param {number} num1 - Left number
+ * @param {number} num2 - Right number
+ * @return {string} '<', '>' or '='
+ */
+export function compareNumbers(num1, num2) {
+  if (num1 < num2) return '<';
+  if (num1 > num2) return '>';
+  return '=';
+}
+
+/**
+ * Generate a comparison problem (e.g. `23 ☐ 32`) answered with <, = or >
+ * Harder levels more often pick close pairs: reversed digits or the same tens digit
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object whose unknown is the operator
+ */
+export function generateComparisonProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.comparison[difficulty];
+  const num1 = getRandomNumber(settings.min, settings.max, random);
+
+  let num2;
+  if (random() < settings.equalChance) {
+    num2 = num1;
+  } else if (random() < settings.closeChance) {
+    num2 = pickCloseNumber(num1, settings, random);
+  } else {
+    num2 = pickOtherNumber(num1, settings, random);
+  }
+
+  const symbol = compareNumbers(num1, num2);
+  return createEquationProblem([num1, num2], [symbol], null, {
+    unknownOperatorIndex: 0,
+    answer: symbol,
+    input: 'symbol',
+  });
+}
+
+/**
+ * Pick a number that is easy to confuse with num1 (23 and 32, 23 and 27)
+ * @param {number} num1 - Number to compare against
+ * @param {Object} settings - Range settings ({ min, max })
+ * @param {Function} random - Random number source
+ * @return {number} A different number in range
+ */
+function pickCloseNumber(num1, settings, random) {
+  const tens = Math.floor(num1 / 10);
+  const ones = num1 % 10;
+  const candidates = [];
+
+  // Same tens digit, different ones digit
+  for (let digit = 0; digit <= 9; digit++) {
+    candidates.push(tens * 10 + digit);
+  }
+  // Reversed digits
+  if (num1 >= 10 && num1 < 100 && ones !== 0) {
+    candidates.push(ones * 10 + tens);
+  }
+
+  const inRange = candidates.filter(
+    candidate => candidate !== num1 && candidate >= settings.min && candidate <= settings.max
+  );
+  if (inRange.length === 0) {
+    return pickOtherNumber(num1, settings, random);
+  }
+  return getRandomItem(inRange, random);
+}
+
+/**
+ * Pick any other number in range
+ * @param {number} num1 - Number to avoid
+ * @param {Object} settings - Range settings ({ min, max })
+ * @param {Function} random - Random number source
+ * @return {number} A different number in range (num1 if the range has one number)
+ */
+function pickOtherNumber(num1, settings, random) {
+  if (settings.max <= settings.min) {
+    return num1;
+  }
+  const num2 = getRandomNumber(settings.min, settings.max - 1, random);
+  return num2 >= num1 ? num2 + 1 : num2;
+}
+
+/**
+ * Generate a balanced equation with operations on both sides (e.g. `5 + 2 = ? + 4`)
+ * so the equal sign reads as "the same as" rather than "write the answer"
+ * Uses the threeNumber ranges: the left side takes the first two, the right side the third
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object with the unknown on the right-hand side
+ */
+export function generateBalancedEquationProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.threeNumber[difficulty];
+
+  const num1 = getRandomNumber(settings.min1, settings.max1, random);
+  const num2 = getRandomNumber(settings.min2, settings.max2, random);
+  const leftOperator = num1 > num2 && random() < 0.5 ? '-' : '+';
+  const leftValue = evaluateExpression([num1, num2], [leftOperator]);
+
+  // `? + c` needs c below the left value so the unknown stays positive; `? - c` always works
+  const num3 = getRandomNumber(settings.min3, settings.max3, random);
+  const rightOperator = num3 < leftValue && random() < 0.5 ? '+' : '-';
+  const unknown = rightOperator === '+' ? leftValue - num3 : leftValue + num3;
+
+  // Addition is commutative, so the unknown may also come second: 5 + 2 = 4 + ?
+  if (rightOperator === '+' && random() < 0.5) {
+    return createEquationProblem([num1, num2, num3, unknown], [leftOperator, '=', '+'], 3, {
+      type: 'balanced',
+    });
+  }
+  return createEquationProblem([num1, num2, unknown, num3], [leftOperator, '=', rightOperator], 2, {
+    type: 'balanced',
+  });
+}
+
+/**
+ * Ways one side of a true/false equation can be written
+ * 'number' is a plain number (`6`), 'sum' is `a + b` and 'difference' is `a - b`
+ */
+const EXPRESSION_FORMS = ['number', 'sum', 'difference'];
+
+/**
+ * Generate a true/false equation such as `6 = 6`, `5 + 2 = 2 + 5` or `4 + 1 = 5 + 2`
+ * False equations are off by one more often on harder levels, which makes them harder to spot
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object whose answer is true or false
+ */
+export function generateTrueFalseProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.trueFalse[difficulty];
+
+  const leftValue = getRandomNumber(settings.min, settings.max, random);
+  const isTrue = random() < settings.trueChance;
+
+  let rightValue = leftValue;
+  if (!isTrue) {
+    const offBy = random() < settings.offByOneChance ? 1 : getRandomNumber(2, 3, random);
+    // Go down only when the result stays at or above zero
+    rightValue = leftValue - offBy >= 0 && random() < 0.5 ? leftValue - offBy : leftValue + offBy;
+  }
+
+  const left = buildExpression(
+    leftValue,
+    getRandomItem(EXPRESSION_FORMS, random),
+    settings,
+    random
+  );
+  let right;
+  if (isTrue && left.operators[0] === '+' && random() < 0.3) {
+    // Turn-around fact: 5 + 2 = 2 + 5
+    right = { operands: [...left.operands].reverse(), operators: ['+'] };
+  } else {
+    right = buildExpression(rightValue, getRandomItem(EXPRESSION_FORMS, random), settings, random);
+  }
+
+  // The expression may be on either side of the equal sign
+  const [first, second] = random() < 0.5 ? [left, right] : [right, left];
+  const operands = [...first.operands, ...second.operands];
+  const operators = [...first.operators, '=', ...second.operators];
+
+  return createEquationProblem(operands, operators, null, {
+    answer: isTrue,
+    input: 'trueFalse',
+    prompt: { key: 'app.gameplay.trueFalseQuestion', params: {} },
+  });
+}
+
+/**
+ * Write a value as one side of an equation
+ * @param {number} value - Value of the expression
+ * @param {string} form - One of EXPRESSION_FORMS
+ * @param {Object} settings - Range settings ({ max })
+ * @param {Function} random - Random number source
+ * @return {Object} { operands, operators }
+ */
+function buildExpression(value, form, settings, random) {
+  if (form === 'sum' && value >= 2) {
+    const addend = getRandomNumber(1, value - 1, random);
+    return { operands: [addend, value - addend], operators: ['+'] };
+  }
+  if (form === 'difference' && value < settings.max) {
+    const subtrahend = getRandomNumber(1, settings.max - value, random);
+    return { operands: [value + subtrahend, subtrahend], operators: ['-'] };
+  }
+  return { operands: [value], operators: [] };
+}
+
+/**
+ * Generate a number bond (part-part-whole) problem with one part missing
+ * Part of the problems use the level's target whole (bonds to 5, 10 or 20) and are asked
+ * as "What makes 10 with 6?"; the rest use any whole in range
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object with a 'numberBond' visual
+ */
+export function generateNumberBondProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.numberBond[difficulty];
+
+  const isTargetBond = random() < settings.targetChance;
+  const whole = isTargetBond
+    ? settings.targetWhole
+    : getRandomNumber(settings.minWhole, settings.maxWhole, random);
+  const firstPart = getRandomNumber(1, whole - 1, random);
+  const parts = [firstPart, whole - firstPart];
+  const missingIndex = getRandomNumber(0, 1, random);
+  const knownPart = parts[1 - missingIndex];
+
+  return {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    answer: parts[missingIndex],
+    prompt: isTargetBond
+      ? { key: 'app.gameplay.makeWholeQuestion', params: { whole, part: knownPart } }
+      : { key: 'app.gameplay.numberBondQuestion', params: {} },
+    visual: { type: 'numberBond', whole, parts, missingIndex },
+    // The same bond asked either way round or with either prompt is the same fact
+    factKey: `bond:${whole}-${knownPart}`,
+  };
+}
+
+/**
+ * Generate a place value problem: name the number shown as base-ten blocks,
+ * or, in reverse, say how many tens or ones a number has ("How many tens are in 47?")
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generatePlaceValueProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.placeValue[difficulty];
+  const number = getRandomNumber(settings.min, settings.max, random);
+  const tens = Math.floor(number / 10);
+  const ones = number % 10;
+
+  const problem = {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    prompt: null,
+    visual: null,
+  };
+
+  // Reverse variant: ask for one digit of a written number
+  if (random() < 0.5) {
+    const place = getRandomItem(['tens', 'ones'], random);
+    return {
+      ...problem,
+      answer: place === 'tens' ? tens : ones,
+      prompt: { key: `app.gameplay.${place}Question`, params: { number } },
+    };
+  }
+
+  return {
+    ...problem,
+    answer: number,
+    prompt: { key: 'app.gameplay.placeValueQuestion', params: {} },
+    visual: { type: 'baseTen', tens, ones },
+  };
+}
+
+/**
+ * Generate a sequence problem: find the missing term of a counting or skip-counting
+ * sequence (`5, 6, 7, ?`, `20, 19, 18, ?`, `10, 20, 30, ?`)
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateSequenceProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.sequence[difficulty];
+  const step = getRandomItem(settings.steps, random);
+  const span = step * (settings.length - 1);
+
+  // Pick the smallest term so that every term stays within the range
+  let low = getRandomNumber(settings.min, settings.max - span, random);
+  if (settings.alignToStep && step > 1) {
+    // Skip count from a multiple of the step (10, 20, 30 rather than 13, 23, 33)
+    low = Math.max(Math.ceil(settings.min / step), Math.floor(low / step)) * step;
+  }
+
+  const terms = Array.from({ length: settings.length }, (_, index) => low + index * step);
+  if (getRandomItem(settings.directions, random) === 'backward') {
+    terms.reverse();
+  }
+  const missingIndex = getRandomNumber(0, terms.length - 1, random);
+
+  return {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    answer: terms[missingIndex],
+    prompt: { key: 'app.gameplay.sequenceQuestion', params: {} },
+    visual: { type: 'sequence', terms, missingIndex },
+  };
+}
+
+/**
+ * Generate a telling-time problem: read the time on an analog clock, answered as H:MM
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateClockProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.clock[difficulty];
+  const hour = getRandomNumber(1, 12, random);
+  const minute = getRandomItem(settings.minutes, random);
+
+  return {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    answer: formatClockTime(hour, minute),
+    input: 'time',
+    prompt: { key: 'app.gameplay.clockQuestion', params: {} },
+    visual: { type: 'clock', hour, minute },
+  };
+}
+
+/**
+ * Word problem templates, one per situation type and unknown
+ * The text lives in locales/*.json under app.wordProblems.<situation>.<id> and may use
+ * {name}, {other}, {items}, {a}, {b} and {c}. For add-to, take-from and put-together
+ * a and b are the start and change (or the two parts) and c the result; for compare,
+ * a is the bigger quantity, b the smaller one and c the difference.
+ */
+export const WORD_PROBLEM_TEMPLATES = [
+  { situation: 'addTo', id: 'getsMore', unknown: 'result' },
+  { situation: 'addTo', id: 'getsSome', unknown: 'change' },
+  { situation: 'takeFrom', id: 'givesAway', unknown: 'result' },
+  { situation: 'takeFrom', id: 'givesSome', unknown: 'change' },
+  { situation: 'putTogether', id: 'altogether', unknown: 'result' },
+  { situation: 'putTogether', id: 'onePart', unknown: 'part' },
+  { situation: 'compare', id: 'howManyMore', unknown: 'difference' },
+  { situation: 'compare', id: 'howManyFewer', unknown: 'difference' },
+  { situation: 'compare', id: 'moreThan', unknown: 'bigger' },
+];
+
+// Which of a, b and c each kind of unknown asks for
+const WORD_PROBLEM_ANSWERS = { result: 'c', change: 'b', part: 'b', difference: 'c', bigger: 'a' };
+
+// Names and items are translation keys under app.wordProblems.names / .items
+export const WORD_PROBLEM_NAMES = ['ken', 'mia', 'sam', 'lily'];
+export const WORD_PROBLEM_ITEMS = ['apples', 'candies', 'balls', 'oranges', 'cookies'];
+
+/**
+ * Generate a word problem from a localized template ("Ken has 3 apples and gets 2 more...")
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateWordProblem(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+  const settings = difficultySettings.wordProblem[difficulty];
+  const templates = WORD_PROBLEM_TEMPLATES.filter(template =>
+    settings.unknowns.includes(template.unknown)
+  );
+  const template = getRandomItem(templates, random);
+  const numbers = pickWordProblemNumbers(template.situation, settings.max, random);
+
+  const name = getRandomItem(WORD_PROBLEM_NAMES, random);
+  const other = getRandomItem(
+    WORD_PROBLEM_NAMES.filter(candidate => candidate !== name),
+    random
+  );
+  const items = getRandomItem(WORD_PROBLEM_ITEMS, random);
+
+  return {
+    operands: [],
+    operators: [],
+    unknownIndex: null,
+    answer: numbers[WORD_PROBLEM_ANSWERS[template.unknown]],
+    prompt: {
+      key: `app.wordProblems.${template.situation}.${template.id}`,
+      params: {
+        ...numbers,
+        // Translated when rendered, so names and nouns follow the active language
+        name: { key: `app.wordProblems.names.${name}` },
+        other: { key: `app.wordProblems.names.${other}` },
+        items: { key: `app.wordProblems.items.${items}` },
+      },
+    },
+    visual: null,
+    // Another story with the same numbers is the same fact
+    factKey: `word:${template.situation}:${template.unknown}:${numbers.a},${numbers.b}`,
+  };
+}
+
+/**
+ * Pick the numbers of a word problem so that every quantity next to a plural noun
+ * is at least 2 and no quantity exceeds max
+ * @param {string} situation - Situation type ('addTo', 'takeFrom', 'putTogether', 'compare')
+ * @param {number} max - Largest number in the problem
+ * @param {Function} random - Random number source
+ * @return {Object} { a, b, c }
+ */
+function pickWordProblemNumbers(situation, max, random) {
+  if (situation === 'addTo') {
+    const a = getRandomNumber(2, max - 1, random);
+    const b = getRandomNumber(1, max - a, random);
+    return { a, b, c: a + b };
+  }
+  if (situation === 'putTogether') {
+    const a = getRandomNumber(2, max - 2, random);
+    const b = getRandomNumber(2, max - a, random);
+    return { a, b, c: a + b };
+  }
+  // takeFrom: a - b = c, compare: a is b + c
+  const a = getRandomNumber(3, max, random);
+  const b = getRandomNumber(situation === 'compare' ? 2 : 1, a - 1, random);
+  return { a, b, c: a - b };
+}
+
+/**
+ * Create the four facts of a fact family: `a + b`, `b + a`, `whole - a` and `whole - b`
+ * @param {number} a - First part
+ * @param {number} b - Second part
+ * @return {Array<Object>} Problem objects, each with family: [a, b, whole]
+ */
+export function createFactFamilyProblems(a, b) {
+  const whole = a + b;
+  // Smaller part first, so (3, 5, 8) and (5, 3, 8) are the same family
+  const family = [Math.min(a, b), Math.max(a, b), whole];
+  const extra = { family, factKey: `family:${family.join(',')}` };
+
+  return [
+    createEquationProblem([a, b, whole], ['+', '='], 2, extra),
+    createEquationProblem([b, a, whole], ['+', '='], 2, extra),
+    createEquationProblem([whole, a, b], ['-', '='], 2, extra),
+    createEquationProblem([whole, b, a], ['-', '='], 2, extra),
+  ];
+}
+
+/**
+ * Generate a fact family problem: the first fact of a family such as (3, 5, 8),
+ * with the other three in nextProblems so they are asked right after it
+ * The parts come from the addition ranges and must also fit the subtraction ranges.
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+export function generateFactFamilyProblem(difficulty, difficultySettings, options = {}) {
+  const [a, b] = pickMatching(
+    () =>
+      generateAdditionProblem(difficulty, difficultySettings, {
+        random: options.random,
+        unknownPosition: 'result',
+      }).operands,
+    ([first, second]) => isFactFamilyInRange(first, second, difficulty, difficultySettings)
+  );
+
+  const [first, ...nextProblems] = createFactFamilyProblems(a, b);
+  return { ...first, nextProblems };
+}
+
+/**
+ * Check whether two parts make a fact family for a difficulty: different parts (so the
+ * family has four different facts), with the addition and subtraction facts in range
+ * @param {number} a - One part
+ * @param {number} b - The other part
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @return {boolean} True if the parts make a family
+ */
+function isFactFamilyInRange(a, b, difficulty, difficultySettings) {
+  const addition = difficultySettings.addition[difficulty];
+  const subtraction = difficultySettings.subtraction[difficulty];
+  const whole = a + b;
+  const inRange = (number, min, max) => number >= min && number <= max;
+  return (
+    a !== b &&
+    [a, b].some(
+      (part, index) =>
+        inRange(part, addition.min1, addition.max1) &&
+        inRange([a, b][1 - index], addition.min2, addition.max2)
+    ) &&
+    inRange(whole, subtraction.min1, subtraction.max1) &&
+    [a, b].every(part => inRange(part, subtraction.min2, subtraction.max2))
+  );
+}
+
+/**
+ * Build the follow-up for a missed fact family fact: the fact in the same place of a
+ * neighbouring family, one part changed by one (3 + 5 = ? follows up with 3 + 6 = ?
+ * or 4 + 5 = ?, 8 - 3 = ? with 9 - 3 = ? ...)
+ * @param {Object} problem - Missed fact, with problem.family [smaller part, bigger part, whole]
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.random=Math.random] - Random number source
+ * @return {Object} Problem object
+ */
+function generateSimilarFactFamilyProblem(problem, difficulty, difficultySettings, options = {}) {
+  const [small, big] = problem.family;
+  const place = createFactFamilyProblems(small, big).findIndex(
+    fact => String(fact.operands) === String(problem.operands)
+  );
+  const neighbours = [
+    [small - 1, big],
+    [small + 1, big],
+    [small, big - 1],
+    [small, big + 1],
+  ].filter(([a, b]) => isFactFamilyInRange(a, b, difficulty, difficultySettings));
+
+  // A family without neighbours in range is replaced by a new one
+  const [a, b] =
+    neighbours.length > 0
+      ? getRandomItem(neighbours, options.random)
+      : generateFactFamilyProblem(difficulty, difficultySettings, options).family;
+  const facts = createFactFamilyProblems(Math.min(a, b), Math.max(a, b));
+  return { ...facts[Math.max(0, place)], sourceMode: problem.sourceMode };
+}
+
+/**
+ * Generate a three-number problem, falling back to a plain `a + b + c` problem on error
+ * DO NOT fall back to addition - that would make a two-number problem
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options (random)
+ * @return {Object} Problem object
+ */
+function generateThreeNumberProblemSafely(difficulty, difficultySettings, options = {}) {
+  const random = options.random || Math.random;
+
+  try {
+    return generateThreeNumberProblem(difficulty, difficultySettings, options);
+  } catch (err) {
+    console.error('ERROR generating threeNumber problem:', err);
+
+    // Get the settings or use defaults
+    const settings =
+      difficultySettings.threeNumber && difficultySettings.threeNumber[difficulty]
+        ? difficultySettings.threeNumber[difficulty]
+        : { min1: 1, max1: 10, min2: 1, max2: 5, min3: 1, max3: 5 };
+
+    const num1 = getRandomNumber(settings.min1, settings.max1, random);
+    const num2 = getRandomNumber(settings.min2, settings.max2, random);
+    const num3 = getRandomNumber(settings.min3, settings.max3, random);
+
+    // Create a simple a + b + c problem
+    return createEquationProblem([num1, num2, num3, num1 + num2 + num3], ['+', '+', '='], 3, {
+      type: 'threeNumber',
+    });
+  }
+}
+
+/**
+ * Resolve a mixed-mode weighting into the problem types mixed mode may pick from
+ * @param {Object} [mixWeights] - Weight per problem type id,
+ *   e.g. { subtraction: 50, addition: 30, counting: 20 }
+ * @return {Array<Object>} Entries of { problemType, weight } with positive weights.
+ *   Without usable weights every type included in mixed mode gets an equal share.
+ */
+export function resolveMixWeights(mixWeights) {
+  const entries = Object.entries(mixWeights || {})
+    .map(([id, weight]) => ({ problemType: getProblemType(id), weight: Number(weight) }))
+    .filter(
+      ({ problemType, weight }) =>
+        // Mixed mode cannot pick itself
+        problemType && problemType.id !== 'mixed' && Number.isFinite(weight) && weight > 0
+    );
+
+  if (entries.length > 0) {
+    return entries;
+  }
+  return getMixableProblemTypes().map(problemType => ({ problemType, weight: 1 }));
+}
+
+/**
+ * Generate a problem from a randomly chosen problem type
+ * The problem keeps the id of the chosen type as its sourceMode
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options passed to the chosen generator
+ * @param {Object} [options.mixWeights] - Weight per problem type id (see resolveMixWeights)
+ * @return {Object} Problem object
+ */
+export function generateMixedProblem(difficulty, difficultySettings, options = {}) {
+  const entries = resolveMixWeights(options.mixWeights);
+  if (entries.length === 0) {
+    console.warn('No problem types are included in mixed mode, falling back to addition');
+    return generateAdditionProblem(difficulty, difficultySettings, options);
+  }
+
+  const { problemType } = getWeightedRandomItem(
+    entries,
+    entries.map(entry => entry.weight),
+    options.random
+  );
+  const problem = problemType.generate(difficulty, difficultySettings, options);
+  problem.sourceMode = problemType.id;
+
+  return problem;
+}
+
+/**
+ * Generate a problem based on the current game mode
+ * The generator is looked up in the problem type registry
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {string} gameMode - Current game mode (a registered problem type id)
+ * @param {Object} [options] - Generation options passed to the generator
+ * @param {Function} [options.random=Math.random] - Random number source; a seeded source
+ *   (see createRandom in utils.js) makes the problem sequence reproducible
+ * @return {Object} Problem object
+ */
+export function generateProblemByMode(difficulty, difficultySettings, gameMode, options = {}) {
+  let problemType = getProblemType(gameMode);
+
+  if (!problemType) {
     console.warn('Unknown game mode:', gameMode, 'falling back to addition');
-    problem = generators.addition(difficulty, difficultySettings);
-    break;
+    problemType = getProblemType('addition');
   }
 
-  // Add source information to the problem object
-  problem.sourceMode = gameMode;
+  const problem = problemType.generate(difficulty, difficultySettings, options);
+
+  // Add source information to the problem object (and the problems queued after it),
+  // keeping the more specific mode set by mixed mode
+  if (!problem.sourceMode) {
+    problem.sourceMode = gameMode;
+  }
+  if (problem.nextProblems) {
+    problem.nextProblems = problem.nextProblems.map(next => ({
+      ...next,
+      sourceMode: next.sourceMode || problem.sourceMode,
+    }));
+  }
 
   return problem;
 }
@@ -257,5 +1429,367 @@ export function updateCurrentProblem(state, problem) {
     ...state,
     currentProblem: problem,
     currentProblemAttempts: 0,
+    countedObjects: [],
+    visualHidden: false,
+    workedStep: null,
   };
 }
+
+/**
+ * Generate a follow-up problem like one the child could not solve: same mode, same
+ * operators and unknown, but a different fact (so not just the addends swapped)
+ * Fact family facts follow up with the same fact of a neighbouring family.
+ * @param {Object} problem - Problem to follow up
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Object} difficultySettings - Settings for different difficulties
+ * @param {Object} [options] - Generation options (see generateProblemByMode)
+ * @return {Object} Problem object, without queued problems
+ */
+export function generateSimilarProblem(problem, difficulty, difficultySettings, options = {}) {
+  if (problem.family) {
+    return generateSimilarFactFamilyProblem(problem, difficulty, difficultySettings, options);
+  }
+
+  const similar = pickMatching(
+    () => generateProblemByMode(difficulty, difficultySettings, problem.sourceMode, options),
+    candidate =>
+      candidate.unknownIndex === problem.unknownIndex &&
+      String(candidate.operators) === String(problem.operators) &&
+      getFactKey(candidate) !== getFactKey(problem)
+  );
+  delete similar.nextProblems;
+  return similar;
+}
+
+// ===================================
+// BUILT-IN PROBLEM TYPES
+// ===================================
+// Registration order is the order of the operation buttons
+// Configure min/max values per difficulty based on grade level,
+// considering the educational progression of the number ranges
+
+registerProblemType({
+  id: 'addition',
+  generate: generateAdditionProblem,
+  labelKey: 'app.operations.addition',
+  color: '#ff6b6b',
+  includeInMixed: true,
+  supportsUnknownPosition: true,
+  supportsRegrouping: true,
+  canRegroup: canRegroupAddition,
+  difficulties: {
+    easy: { min1: 1, max1: 10, min2: 1, max2: 10 },
+    medium: { min1: 1, max1: 20, min2: 1, max2: 20 },
+    hard: { min1: 10, max1: 50, min2: 10, max2: 50 },
+  },
+});
+
+registerProblemType({
+  id: 'subtraction',
+  generate: generateSubtractionProblem,
+  labelKey: 'app.operations.subtraction',
+  color: '#1dd1a1',
+  includeInMixed: true,
+  supportsUnknownPosition: true,
+  supportsRegrouping: true,
+  canRegroup: canRegroupSubtraction,
+  difficulties: {
+    easy: { min1: 1, max1: 10, min2: 1, max2: 10 },
+    medium: { min1: 10, max1: 20, min2: 1, max2: 10 },
+    hard: { min1: 20, max1: 100, min2: 1, max2: 20 },
+  },
+});
+
+registerProblemType({
+  id: 'threeNumber',
+  generate: generateThreeNumberProblemSafely,
+  labelKey: 'app.operations.threeNumber',
+  color: '#4b7bec',
+  includeInMixed: true,
+  supportsRegrouping: true,
+  difficulties: {
+    easy: { min1: 1, max1: 10, min2: 1, max2: 5, min3: 1, max3: 5 },
+    medium: { min1: 5, max1: 15, min2: 1, max2: 10, min3: 1, max3: 10 },
+    hard: { min1: 10, max1: 25, min2: 5, max2: 15, min3: 5, max3: 15 },
+  },
+});
+
+registerProblemType({
+  id: 'mixed',
+  generate: generateMixedProblem,
+  labelKey: 'app.operations.mixed',
+  color: '#a29bfe',
+  supportsRegrouping: true,
+  canRegroup: canRegroupMixed,
+  difficulties: {
+    easy: { min1: 1, max1: 10, min2: 1, max2: 10 },
+    medium: { min1: 1, max1: 20, min2: 1, max2: 20 },
+    hard: { min1: 10, max1: 50, min2: 1, max2: 25 },
+  },
+});
+
+registerProblemType({
+  id: 'counting',
+  generate: generateCountingProblem,
+  labelKey: 'app.operations.counting',
+  color: '#feca57',
+  supportsRunningCount: true,
+  difficulties: {
+    easy: { min: 5, max: 10, layouts: ['rows', 'tenFrame', 'dice'] },
+    medium: { min: 10, max: 20, layouts: ['rows', 'tenFrame', 'scattered'] },
+    hard: { min: 15, max: 30, layouts: ['scattered'] },
+  },
+});
+
+registerProblemType({
+  id: 'missingNumber',
+  generate: generateMissingNumberProblem,
+  labelKey: 'app.operations.missingNumber',
+  color: '#fd9644',
+  // Reuses the addition and subtraction ranges
+  supportsRegrouping: true,
+  canRegroup: canRegroupMissingNumber,
+  difficulties: {
+    easy: {},
+    medium: {},
+    hard: {},
+  },
+});
+
+registerProblemType({
+  id: 'comparison',
+  generate: generateComparisonProblem,
+  labelKey: 'app.operations.comparison',
+  color: '#2bcbba',
+  // Chance of equal numbers, and of a close pair among the rest
+  difficulties: {
+    easy: { min: 1, max: 20, equalChance: 0.2, closeChance: 0.2 },
+    medium: { min: 10, max: 99, equalChance: 0.15, closeChance: 0.5 },
+    hard: { min: 10, max: 120, equalChance: 0.1, closeChance: 0.8 },
+  },
+});
+
+registerProblemType({
+  id: 'trueFalse',
+  generate: generateTrueFalseProblem,
+  labelKey: 'app.operations.trueFalse',
+  color: '#8854d0',
+  // Chance of a true equation, and of a false one being off by only one
+  difficulties: {
+    easy: { min: 1, max: 10, trueChance: 0.5, offByOneChance: 0.2 },
+    medium: { min: 2, max: 20, trueChance: 0.5, offByOneChance: 0.5 },
+    hard: { min: 5, max: 20, trueChance: 0.5, offByOneChance: 0.9 },
+  },
+});
+
+registerProblemType({
+  id: 'balanced',
+  generate: generateBalancedEquationProblem,
+  labelKey: 'app.operations.balanced',
+  color: '#45aaf2',
+  // Reuses the threeNumber ranges
+  difficulties: {
+    easy: {},
+    medium: {},
+    hard: {},
+  },
+});
+
+registerProblemType({
+  id: 'numberBond',
+  generate: generateNumberBondProblem,
+  labelKey: 'app.operations.numberBond',
+  color: '#fc5c65',
+  // Bonds to 5, 10 and 20; targetChance is the share of problems using the target whole
+  difficulties: {
+    easy: { minWhole: 2, maxWhole: 5, targetWhole: 5, targetChance: 0.5 },
+    medium: { minWhole: 6, maxWhole: 10, targetWhole: 10, targetChance: 0.6 },
+    hard: { minWhole: 11, maxWhole: 20, targetWhole: 20, targetChance: 0.4 },
+  },
+});
+
+registerProblemType({
+  id: 'placeValue',
+  generate: generatePlaceValueProblem,
+  labelKey: 'app.operations.placeValue',
+  color: '#20bf6b',
+  difficulties: {
+    easy: { min: 10, max: 20 },
+    medium: { min: 10, max: 50 },
+    hard: { min: 20, max: 99 },
+  },
+});
+
+registerProblemType({
+  id: 'sequence',
+  generate: generateSequenceProblem,
+  labelKey: 'app.operations.sequence',
+  color: '#a55eea',
+  // min/max bound every term; steps and directions are picked at random
+  difficulties: {
+    easy: {
+      min: 1,
+      max: 20,
+      length: 4,
+      steps: [1],
+      directions: ['forward'],
+      alignToStep: true,
+    },
+    medium: {
+      min: 1,
+      max: 50,
+      length: 4,
+      steps: [1, 2, 5, 10],
+      directions: ['forward', 'backward'],
+      alignToStep: true,
+    },
+    hard: {
+      min: 1,
+      max: 120,
+      length: 5,
+      steps: [1, 2, 5, 10],
+      directions: ['forward', 'backward'],
+      alignToStep: false,
+    },
+  },
+});
+
+registerProblemType({
+  id: 'wordProblem',
+  generate: generateWordProblem,
+  labelKey: 'app.operations.wordProblem',
+  color: '#eb3b5a',
+  // unknowns lists the kinds of unknown (see WORD_PROBLEM_TEMPLATES) each level may ask for
+  difficulties: {
+    easy: { max: 10, unknowns: ['result'] },
+    medium: { max: 20, unknowns: ['result', 'difference'] },
+    hard: { max: 20, unknowns: ['result', 'difference', 'change', 'part', 'bigger'] },
+  },
+});
+
+registerProblemType({
+  id: 'clock',
+  generate: generateClockProblem,
+  labelKey: 'app.operations.clock',
+  color: '#0fb9b1',
+  // o'clock, half past, then quarter hours
+  difficulties: {
+    easy: { minutes: [0] },
+    medium: { minutes: [0, 30] },
+    hard: { minutes: [0, 15, 30, 45] },
+  },
+});
+
+registerProblemType({
+  id: 'money',
+  generate: generateMoneyProblem,
+  labelKey: 'app.operations.money',
+  color: '#f7b731',
+  // Denominations are listed per coin set
+  difficulties: {
+    easy: { minCoins: 2, maxCoins: 4, denominations: { usd: [1, 5, 10], jpy: [1, 5, 10] } },
+    medium: {
+      minCoins: 3,
+      maxCoins: 6,
+      denominations: { usd: [1, 5, 10, 25], jpy: [1, 5, 10, 50] },
+    },
+    hard: {
+      minCoins: 4,
+      maxCoins: 8,
+      denominations: { usd: [1, 5, 10, 25, 50], jpy: [1, 5, 10, 50, 100, 500] },
+    },
+  },
+});
+
+registerProblemType({
+  id: 'graph',
+  generate: generateGraphProblem,
+  labelKey: 'app.operations.graph',
+  color: '#3867d6',
+  // charts: 'picture' (one emoji per item) or 'tally'; questions: see GRAPH_QUESTIONS
+  difficulties: {
+    easy: { categories: 2, maxCount: 5, charts: ['picture'], questions: ['howMany', 'total'] },
+    medium: {
+      categories: 3,
+      maxCount: 8,
+      charts: ['picture', 'tally'],
+      questions: GRAPH_QUESTIONS,
+    },
+    hard: { categories: 4, maxCount: 10, charts: ['picture', 'tally'], questions: GRAPH_QUESTIONS },
+  },
+});
+
+registerProblemType({
+  id: 'shape',
+  generate: generateShapeProblem,
+  labelKey: 'app.operations.shape',
+  color: '#fa8231',
+  // questions: 'sides', 'corners', 'parts' (count equal parts) or 'split' (pick the shape
+  // split into halves or quarters); splits lists the numbers of parts used
+  difficulties: {
+    easy: {
+      shapes: ['triangle', 'square', 'rectangle'],
+      questions: ['sides', 'corners'],
+      splits: [2],
+    },
+    medium: {
+      shapes: ['triangle', 'square', 'rectangle', 'pentagon', 'hexagon'],
+      questions: ['sides', 'corners', 'parts', 'split'],
+      splits: [2],
+    },
+    hard: {
+      shapes: ['triangle', 'square', 'rectangle', 'pentagon', 'hexagon'],
+      questions: ['sides', 'corners', 'parts', 'split'],
+      splits: [2, 4],
+    },
+  },
+});
+
+registerProblemType({
+  id: 'factFamily',
+  generate: generateFactFamilyProblem,
+  labelKey: 'app.operations.factFamily',
+  color: '#eb8c34',
+  // Reuses the addition and subtraction ranges
+  difficulties: {
+    easy: {},
+    medium: {},
+    hard: {},
+  },
+});
+
+registerProblemType({
+  id: 'strategy',
+  generate: generateStrategyProblem,
+  labelKey: 'app.operations.strategy',
+  color: '#e84393',
+  // Doubles and near doubles use min..max; make-ten facts pair makeTenAddends with 2-9
+  difficulties: {
+    easy: { min: 1, max: 5, strategies: ['double', 'nearDouble'] },
+    medium: {
+      min: 1,
+      max: 10,
+      strategies: ['double', 'nearDouble', 'makeTen'],
+      makeTenAddends: [8, 9],
+    },
+    hard: {
+      min: 5,
+      max: 20,
+      strategies: ['double', 'nearDouble', 'makeTen'],
+      makeTenAddends: [7, 8, 9],
+    },
+  },
+});
+
+registerProblemType({
+  id: 'subitizing',
+  generate: generateSubitizingProblem,
+  labelKey: 'app.operations.subitizing',
+  color: '#e17055',
+  // flashMs is how long the pattern stays visible
+  difficulties: {
+    easy: { min: 1, max: 5, patterns: ['dots', 'fingers'], flashMs: 1500 },
+    medium: { min: 1, max: 10, patterns: ['dots', 'fingers', 'tenFrame'], flashMs: 1000 },
+    hard: { min: 3, max: 10, patterns: ['dots', 'fingers', 'tenFrame'], flashMs: 500 },
+  },
+});
@@ -0,0 +1,133 @@
+/**
+ * Problem Type Registry
+ * Central list of the problem types (game modes) the app knows about.
+ * The operation buttons, mixed mode and results screen are all built from it,
+ * so new modes can be added with a single registerProblemType call.
+ */
+
+// Difficulty levels every problem type must define
+export const REQUIRED_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Button color used when a problem type does not define one
+export const DEFAULT_PROBLEM_TYPE_COLOR = '#4b7bec';
+
+// Registered problem types, kept in registration order
+const problemTypes = new Map();
+
+/**
+ * Register a new problem type
+ * @param {Object} definition - Problem type definition
+ * @param {string} definition.id - Unique mode id (also used as the button id)
+ * @param {Function} definition.generate - (difficulty, difficultySettings, options) => problem
+ * @param {Object} definition.difficulties - Settings keyed by difficulty (easy, medium, hard)
+ * @param {string} definition.labelKey - Translation key for the mode name
+ * @param {string} [definition.label] - Fallback name when labelKey has no translation
+ * @param {string} [definition.color] - Button and mode display color
+ * @param {boolean} [definition.includeInMixed=false] - Whether mixed mode may pick this type
+ * @param {boolean} [definition.supportsUnknownPosition=false] - Whether the "? anywhere" option applies
+ * @param {boolean} [definition.supportsRegrouping=false] - Whether the regrouping sub-levels apply
+ * @param {Function} [definition.canRegroup] - (difficulty, difficultySettings, regrouping, options)
+ *   => whether the number ranges of a difficulty can meet a regrouping sub-level
+ *   (types without it are assumed to meet every sub-level)
+ * @param {boolean} [definition.supportsRunningCount=false] - Whether the running count option
+ *   applies (modes whose objects are tapped to count them)
+ * @return {Object} The registered problem type
+ */
+export function registerProblemType(definition) {
+  const { id, generate, difficulties, labelKey } = definition || {};
+
+  if (!id || typeof id !== 'string') {
+    throw new Error('Problem type id must be a non-empty string');
+  }
+  if (problemTypes.has(id)) {
+    throw new Error(`Problem type '${id}' is already registered`);
+  }
+  if (typeof generate !== 'function') {
+    throw new Error(`Problem type '${id}' must provide a generate function`);
+  }
+  if (!difficulties || REQUIRED_DIFFICULTIES.some(level => !difficulties[level])) {
+    throw new Error(
+      `Problem type '${id}' must define difficulties for ${REQUIRED_DIFFICULTIES.join(', ')}`
+    );
+  }
+  if (!labelKey || typeof labelKey !== 'string') {
+    throw new Error(`Problem type '${id}' must provide a labelKey`);
+  }
+
+  const problemType = {
+    color: DEFAULT_PROBLEM_TYPE_COLOR,
+    includeInMixed: false,
+    supportsUnknownPosition: false,
+    supportsRegrouping: false,
+    supportsRunningCount: false,
+    ...definition,
+  };
+  problemTypes.set(id, problemType);
+
+  return problemType;
+}
+
+/**
+ * Remove a problem type from the registry
+ * @param {string} id - Problem type id
+ * @return {boolean} True if a problem type was removed
+ */
+export function unregisterProblemType(id) {
+  return problemTypes.delete(id);
+}
+
+/**
+ * Look up a registered problem type
+ * @param {string} id - Problem type id
+ * @return {Object|undefined} The problem type, or undefined if not registered
+ */
+export function getProblemType(id) {
+  return problemTypes.get(id);
+}
+
+/**
+ * Get all registered problem types in registration order
+ * @return {Array} Array of problem type definitions
+ */
+export function getProblemTypes() {
+  return Array.from(problemTypes.values());
+}
+
+/**
+ * Get the problem types mixed mode can choose from
+ * @return {Array} Array of problem type definitions
+ */
+export function getMixableProblemTypes() {
+  return getProblemTypes().filter(problemType => problemType.includeInMixed);
+}
+
+/**
+ * Check whether a problem type offers a regrouping sub-level at a difficulty
+ * @param {string} id - Problem type id
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {string} regrouping - Regrouping sub-level ('any', 'none', 'only', 'crossTen')
+ * @param {Object} [options] - Generation options (e.g. mixWeights)
+ * @return {boolean} True if problems of the type can meet the sub-level
+ */
+export function isRegroupingAvailable(id, difficulty, regrouping, options = {}) {
+  const problemType = getProblemType(id);
+  if (!problemType || !problemType.supportsRegrouping) {
+    return false;
+  }
+  if (regrouping === 'any' || !problemType.canRegroup) {
+    return true;
+  }
+  return problemType.canRegroup(difficulty, getDifficultySettings(), regrouping, options);
+}
+
+/**
+ * Build the difficulty settings object consumed by the generators
+ * @return {Object} Settings keyed by problem type id, then by difficulty
+ */
+export function getDifficultySettings() {
+  const settings = {};
+  for (const problemType of problemTypes.values()) {
+    settings[problemType.id] = problemType.difficulties;
+  }
+  return settings;
+}
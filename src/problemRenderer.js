@@ -0,0 +1,1190 @@
+/**
+ * Problem Renderer
+ * Turns structured problem objects into DOM nodes or plain text, so the game screen,
+ * results and screen readers all show the same problem without HTML string handling
+ */
+
+import { t } from './i18n.js';
+import { createSvg, createSvgElement, createSvgText } from './svg.js';
+import { getCoin } from './coins.js';
+
+// Placeholder shown in place of the unknown
+export const UNKNOWN_PLACEHOLDER = '?';
+
+// Placeholder shown in place of an unknown operator (e.g. `23 ☐ 32`)
+export const UNKNOWN_OPERATOR_PLACEHOLDER = '☐';
+
+/**
+ * Renderers for problem visuals, keyed by visual type
+ * Each entry has render(visual, options) => Element and describe(visual, options) => string.
+ * Visuals that hold the unknown themselves (inlineUnknown) draw options.answer in its place.
+ */
+const visualRenderers = {
+  objects: {
+    render: renderObjects,
+    describe: describeObjects,
+  },
+  numberBond: {
+    render: renderNumberBond,
+    describe: describeNumberBond,
+    inlineUnknown: true,
+  },
+  baseTen: {
+    render: renderBaseTen,
+    describe: describeBaseTen,
+  },
+  sequence: {
+    render: renderSequence,
+    describe: describeSequence,
+    inlineUnknown: true,
+  },
+  clock: {
+    render: renderClock,
+    describe: describeClock,
+  },
+  coins: {
+    render: renderCoins,
+    describe: describeCoins,
+  },
+  graph: {
+    render: renderGraph,
+    describe: describeGraph,
+  },
+  shape: {
+    render: renderShape,
+    describe: describeShape,
+  },
+  fingers: {
+    render: renderFingers,
+    describe: describeFingers,
+  },
+  tenFrames: {
+    render: renderTenFrames,
+    describe: describeTenFrames,
+  },
+  numberLine: {
+    render: renderNumberLine,
+    describe: describeNumberLine,
+  },
+};
+
+/**
+ * Register a renderer for a new visual type
+ * @param {string} type - Visual type (the `type` of a problem's visual payload)
+ * @param {Object} renderer - Renderer definition
+ * @param {Function} renderer.render - (visual, options) => Element
+ * @param {Function} renderer.describe - (visual, options) => plain-text description
+ * @param {boolean} [renderer.inlineUnknown=false] - Whether the visual shows the unknown
+ *   and draws options.answer in its place
+ */
+export function registerVisualRenderer(type, renderer) {
+  if (typeof renderer?.render !== 'function' || typeof renderer?.describe !== 'function') {
+    throw new Error(`Visual renderer '${type}' must provide render and describe functions`);
+  }
+  visualRenderers[type] = renderer;
+}
+
+/**
+ * Render a problem as DOM nodes
+ * @param {Object} problem - Structured problem object
+ * @param {Object} [options] - Render options
+ * @param {string|number} [options.answer] - Value shown in place of the unknown
+ * @param {Array<number>} [options.counted] - Indices of the objects tapped so far, in tap order
+ * @param {boolean} [options.runningCount=false] - Whether to show how many objects were tapped
+ * @param {boolean} [options.hideVisual=false] - Whether to hide the visual (after a flash),
+ *   keeping its space so the layout does not jump
+ * @return {HTMLElement} Element containing the rendered problem
+ */
+export function renderProblem(problem, options = {}) {
+  const container = document.createElement('div');
+  container.className = 'problem-content';
+
+  if (problem.prompt) {
+    const prompt = document.createElement('p');
+    prompt.className = 'problem-prompt';
+    prompt.textContent = formatPrompt(problem.prompt);
+    container.appendChild(prompt);
+  }
+
+  if (problem.visual) {
+    container.appendChild(renderVisual(problem.visual, options));
+  }
+
+  if (hasVisualChoices(problem)) {
+    container.appendChild(renderChoices(problem.choices, options.answer));
+  }
+
+  if (problem.operands && problem.operands.length > 0) {
+    container.appendChild(renderEquation(problem, options.answer));
+  }
+
+  return container;
+}
+
+/**
+ * Describe a problem as plain text (for results, logs and screen readers)
+ * @param {Object} problem - Structured problem object
+ * @param {Object} [options] - Render options
+ * @param {string|number} [options.answer] - Value shown in place of the unknown
+ * @return {string} Plain-text version of the problem
+ */
+export function problemToText(problem, options = {}) {
+  const parts = [];
+
+  if (problem.prompt) {
+    parts.push(formatPrompt(problem.prompt));
+  }
+
+  if (problem.visual) {
+    parts.push(getVisualRenderer(problem.visual).describe(problem.visual, options));
+  }
+
+  if (hasVisualChoices(problem)) {
+    parts.push(
+      problem.choices
+        .map(choice => `${choice.id}: ${getVisualRenderer(choice.visual).describe(choice.visual)}`)
+        .join(', ')
+    );
+  }
+
+  if (problem.operands && problem.operands.length > 0) {
+    parts.push(
+      getEquationTokens(problem, options.answer)
+        .map(token => token.text)
+        .join(' ')
+    );
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Render a visual on its own, e.g. the visual hint shown after a wrong answer
+ * @param {Object} visual - Visual payload (see the visual renderers above)
+ * @return {Element} Rendered visual
+ */
+export function renderVisualHint(visual) {
+  const element = renderVisual(visual, {});
+  element.classList.add('hint-visual');
+  return element;
+}
+
+/**
+ * Check whether a problem has an unknown slot inside its number sentence
+ * (or pictures to choose from, which highlight the chosen one)
+ * @param {Object} problem - Structured problem object
+ * @return {boolean} True if the answer can be shown in place
+ */
+export function hasInlineUnknown(problem) {
+  return (
+    isIndex(problem.unknownIndex) ||
+    isIndex(problem.unknownOperatorIndex) ||
+    Boolean(problem.visual && getVisualRenderer(problem.visual).inlineUnknown) ||
+    hasVisualChoices(problem)
+  );
+}
+
+function isIndex(value) {
+  return value !== null && value !== undefined;
+}
+
+/**
+ * Check whether a multiple-choice problem shows its choices as pictures
+ * Choices without a visual are shown only on the choice pad
+ * @param {Object} problem - Structured problem object
+ * @return {boolean} True if the choices are drawn as part of the problem
+ */
+function hasVisualChoices(problem) {
+  return Boolean(problem.choices && problem.choices.some(choice => choice.visual));
+}
+
+/**
+ * Render the pictures of a multiple-choice problem, each labelled with its id
+ * @param {Array<Object>} choices - Choices ({ id, visual })
+ * @param {string} [answer] - Id of the chosen choice, which is highlighted
+ * @return {HTMLElement} Element containing the choices
+ */
+function renderChoices(choices, answer) {
+  const container = document.createElement('div');
+  container.className = 'problem-choices';
+
+  choices.forEach(choice => {
+    const item = document.createElement('div');
+    item.className = choice.id === answer ? 'problem-choice chosen' : 'problem-choice';
+    item.dataset.choice = choice.id;
+
+    const label = document.createElement('span');
+    label.className = 'choice-id';
+    label.textContent = choice.id;
+    item.appendChild(label);
+    if (choice.visual) {
+      item.appendChild(renderVisual(choice.visual, {}));
+    }
+    container.appendChild(item);
+  });
+
+  return container;
+}
+
+/**
+ * Translate a prompt descriptor
+ * A param may itself be a descriptor ({ key }), e.g. the names and nouns of word problems
+ * @param {Object} prompt - { key, params }
+ * @return {string} Translated prompt text
+ */
+function formatPrompt(prompt) {
+  const params = {};
+  for (const [name, value] of Object.entries(prompt.params || {})) {
+    params[name] = value && typeof value === 'object' ? t(value.key, value.params) : value;
+  }
+  return t(prompt.key, params);
+}
+
+/**
+ * Split an equation into display tokens
+ * The unknown is either an operand (unknownIndex) or an operator (unknownOperatorIndex)
+ * @param {Object} problem - Structured problem object
+ * @param {string|number} [answer] - Value shown in place of the unknown
+ * @return {Array<Object>} Tokens with text and kind ('operand', 'operator' or 'unknown')
+ */
+function getEquationTokens(problem, answer) {
+  const tokens = [];
+
+  problem.operands.forEach((operand, index) => {
+    if (index === problem.unknownIndex) {
+      tokens.push(createUnknownToken(answer, UNKNOWN_PLACEHOLDER));
+    } else {
+      tokens.push({ kind: 'operand', text: String(operand) });
+    }
+
+    if (index === problem.unknownOperatorIndex) {
+      tokens.push(createUnknownToken(answer, UNKNOWN_OPERATOR_PLACEHOLDER));
+    } else if (index < problem.operators.length) {
+      tokens.push({ kind: 'operator', text: problem.operators[index] });
+    }
+  });
+
+  return tokens;
+}
+
+function createUnknownToken(answer, placeholder) {
+  const hasAnswer = isAnswered(answer);
+  return {
+    kind: 'unknown',
+    text: hasAnswer ? String(answer) : placeholder,
+    filled: hasAnswer,
+  };
+}
+
+function isAnswered(answer) {
+  return answer !== undefined && answer !== null && answer !== '';
+}
+
+function renderEquation(problem, answer) {
+  const equation = document.createElement('div');
+  equation.className = 'problem-equation';
+
+  getEquationTokens(problem, answer).forEach((token, index) => {
+    if (index > 0) {
+      equation.appendChild(document.createTextNode(' '));
+    }
+    const span = document.createElement('span');
+    span.className = token.filled ? `${token.kind} filled` : token.kind;
+    span.textContent = token.text;
+    equation.appendChild(span);
+  });
+
+  return equation;
+}
+
+function getVisualRenderer(visual) {
+  const renderer = visualRenderers[visual.type];
+  if (!renderer) {
+    throw new Error(`No renderer registered for visual type '${visual.type}'`);
+  }
+  return renderer;
+}
+
+function renderVisual(visual, options) {
+  const element = getVisualRenderer(visual).render(visual, options);
+  element.classList.add('problem-visual');
+  if (options.hideVisual) {
+    element.classList.add('visual-hidden');
+    element.setAttribute('aria-hidden', 'true');
+  }
+  return element;
+}
+
+// ===================================
+// BUILT-IN VISUALS
+// ===================================
+
+/**
+ * Arrange object elements in a container, keyed by visual.layout
+ * Each takes (container, objects, visual)
+ */
+const objectLayouts = {
+  rows: layoutRows,
+  tenFrame: layoutTenFrames,
+  dice: layoutDice,
+  scattered: layoutScattered,
+};
+
+const TEN_FRAME_SIZE = 10;
+
+// Pip cells of each dice face on a 3 x 3 grid, numbered row by row from 0
+const DICE_PIPS = {
+  1: [4],
+  2: [0, 8],
+  3: [0, 4, 8],
+  4: [0, 2, 6, 8],
+  5: [0, 2, 4, 6, 8],
+  6: [0, 2, 3, 5, 6, 8],
+};
+const DICE_FACE_SIZE = 6;
+
+/**
+ * Render identical objects to count, each a button that is numbered once tapped
+ * @param {Object} visual - { item, count, layout, groupSize, columns, rows, positions }
+ * @param {Object} [options] - Render options
+ * @param {Array<number>} [options.counted] - Indices of the tapped objects, in tap order
+ * @param {boolean} [options.runningCount=false] - Whether to show how many were tapped
+ * @return {HTMLElement} Element containing the objects
+ */
+function renderObjects(visual, options = {}) {
+  const layout = visual.layout || 'rows';
+  const counted = options.counted || [];
+  const container = document.createElement('div');
+  container.className = `objects objects-${layout}`;
+
+  const objects = Array.from({ length: visual.count }, (_, index) =>
+    createObject(visual.item, index, counted.indexOf(index) + 1)
+  );
+  objectLayouts[layout](container, objects, visual);
+
+  if (options.runningCount) {
+    const runningCount = document.createElement('p');
+    runningCount.className = 'running-count';
+    runningCount.textContent = t('app.gameplay.runningCount', { count: counted.length });
+    container.appendChild(runningCount);
+  }
+
+  return container;
+}
+
+/**
+ * Create one tappable object
+ * @param {string} item - Emoji to show
+ * @param {number} index - Index of the object (data-index)
+ * @param {number} number - Number it was counted as, or 0 if not counted yet
+ * @return {HTMLElement} The object button
+ */
+function createObject(item, index, number) {
+  const object = document.createElement('button');
+  object.type = 'button';
+  object.className = number ? 'object counted' : 'object';
+  object.dataset.index = index;
+  object.setAttribute('aria-pressed', String(Boolean(number)));
+  object.textContent = item;
+  if (number) {
+    const badge = document.createElement('span');
+    badge.className = 'object-count';
+    badge.textContent = number;
+    object.appendChild(badge);
+  }
+  return object;
+}
+
+// One row, or rows of groupSize objects
+function layoutRows(container, objects, visual) {
+  let row = null;
+  objects.forEach((object, index) => {
+    if (!row || (visual.groupSize && index % visual.groupSize === 0)) {
+      row = document.createElement('div');
+      row.className = 'objects-row';
+      container.appendChild(row);
+    }
+    row.appendChild(object);
+  });
+}
+
+// Two rows of five per frame, filled in reading order; the last frame may have gaps
+function layoutTenFrames(container, objects) {
+  for (let start = 0; start < objects.length; start += TEN_FRAME_SIZE) {
+    const frame = document.createElement('div');
+    frame.className = 'ten-frame';
+    for (let i = start; i < start + TEN_FRAME_SIZE; i++) {
+      const cell = document.createElement('div');
+      cell.className = 'ten-frame-cell';
+      if (objects[i]) {
+        cell.appendChild(objects[i]);
+      }
+      frame.appendChild(cell);
+    }
+    container.appendChild(frame);
+  }
+}
+
+// Full dice faces of six, then one face for the rest
+function layoutDice(container, objects) {
+  for (let start = 0; start < objects.length; start += DICE_FACE_SIZE) {
+    const pips = objects.slice(start, start + DICE_FACE_SIZE);
+    const face = document.createElement('div');
+    face.className = 'die';
+    pips.forEach((object, index) => {
+      const cell = DICE_PIPS[pips.length][index];
+      object.style.gridRow = String(Math.floor(cell / 3) + 1);
+      object.style.gridColumn = String((cell % 3) + 1);
+      face.appendChild(object);
+    });
+    container.appendChild(face);
+  }
+}
+
+// Objects placed at the generated positions, given in grid cells
+function layoutScattered(container, objects, visual) {
+  const field = document.createElement('div');
+  field.className = 'objects-field';
+  field.style.paddingBottom = `${(visual.rows / visual.columns) * 100}%`;
+  objects.forEach((object, index) => {
+    const { x, y } = visual.positions[index];
+    object.style.left = `${(x / visual.columns) * 100}%`;
+    object.style.top = `${(y / visual.rows) * 100}%`;
+    field.appendChild(object);
+  });
+  container.appendChild(field);
+}
+
+function describeObjects(visual) {
+  return Array(visual.count).fill(visual.item).join(' ');
+}
+
+/**
+ * Render a part-part-whole diagram: the whole on top, joined to its two parts below
+ * @param {Object} visual - { whole, parts, missingIndex }
+ * @param {Object} [options] - Render options
+ * @param {string|number} [options.answer] - Value shown in place of the missing part
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderNumberBond(visual, options = {}) {
+  const svg = createSvg(220, 170, describeNumberBond(visual, options), 'number-bond');
+  const whole = { x: 110, y: 42 };
+  const partCenters = [
+    { x: 50, y: 128 },
+    { x: 170, y: 128 },
+  ];
+
+  partCenters.forEach(center => {
+    svg.appendChild(
+      createSvgElement('line', {
+        x1: whole.x,
+        y1: whole.y,
+        x2: center.x,
+        y2: center.y,
+        class: 'bond-line',
+      })
+    );
+  });
+
+  svg.appendChild(
+    createSvgElement('circle', { cx: whole.x, cy: whole.y, r: 34, class: 'bond-whole' })
+  );
+  svg.appendChild(createSvgText(whole.x, whole.y, visual.whole, { class: 'bond-number' }));
+
+  partCenters.forEach((center, index) => {
+    const isMissing = index === visual.missingIndex;
+    const filled = isMissing && isAnswered(options.answer);
+    let circleClass = 'bond-part';
+    if (isMissing) {
+      circleClass = filled ? 'bond-part bond-unknown filled' : 'bond-part bond-unknown';
+    }
+
+    svg.appendChild(
+      createSvgElement('circle', { cx: center.x, cy: center.y, r: 30, class: circleClass })
+    );
+
+    let text = visual.parts[index];
+    if (isMissing) {
+      text = filled ? options.answer : UNKNOWN_PLACEHOLDER;
+    }
+    svg.appendChild(createSvgText(center.x, center.y, text, { class: 'bond-number' }));
+  });
+
+  return svg;
+}
+
+function describeNumberBond(visual, options = {}) {
+  const parts = visual.parts.map((part, index) => {
+    if (index !== visual.missingIndex) {
+      return part;
+    }
+    return isAnswered(options.answer) ? options.answer : UNKNOWN_PLACEHOLDER;
+  });
+  return `${visual.whole} = ${parts[0]} + ${parts[1]}`;
+}
+
+// Size of one base-ten unit cube in SVG coordinates; a rod is ten units tall
+const UNIT_SIZE = 14;
+const BLOCK_GAP = 8;
+const UNITS_PER_COLUMN = 5;
+
+/**
+ * Render base-ten blocks: one rod per ten, then the ones as unit cubes in columns of five
+ * @param {Object} visual - { tens, ones }
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderBaseTen(visual) {
+  const onesColumns = Math.ceil(visual.ones / UNITS_PER_COLUMN);
+  const columnWidth = UNIT_SIZE + BLOCK_GAP;
+  const onesOffset = visual.tens > 0 && onesColumns > 0 ? BLOCK_GAP * 2 : 0;
+  const width = Math.max(
+    columnWidth,
+    BLOCK_GAP + (visual.tens + onesColumns) * columnWidth + onesOffset
+  );
+  const height = UNIT_SIZE * 10 + BLOCK_GAP * 2;
+  const svg = createSvg(width, height, describeBaseTen(visual), 'base-ten');
+
+  for (let rod = 0; rod < visual.tens; rod++) {
+    const x = BLOCK_GAP + rod * columnWidth;
+    const group = createSvgElement('g', { class: 'base-ten-rod' });
+    // Draw the ten units of the rod so children can count them
+    for (let unit = 0; unit < 10; unit++) {
+      group.appendChild(
+        createSvgElement('rect', {
+          x,
+          y: BLOCK_GAP + unit * UNIT_SIZE,
+          width: UNIT_SIZE,
+          height: UNIT_SIZE,
+        })
+      );
+    }
+    svg.appendChild(group);
+  }
+
+  const onesStart = BLOCK_GAP + visual.tens * columnWidth + onesOffset;
+  for (let unit = 0; unit < visual.ones; unit++) {
+    const column = Math.floor(unit / UNITS_PER_COLUMN);
+    const row = unit % UNITS_PER_COLUMN;
+    svg.appendChild(
+      createSvgElement('rect', {
+        x: onesStart + column * columnWidth,
+        // Stack the ones from the bottom, level with the foot of the rods
+        y: height - BLOCK_GAP - (row + 1) * UNIT_SIZE,
+        width: UNIT_SIZE,
+        height: UNIT_SIZE,
+        class: 'base-ten-unit',
+      })
+    );
+  }
+
+  return svg;
+}
+
+function describeBaseTen(visual) {
+  return t('app.visuals.baseTen', { tens: visual.tens, ones: visual.ones });
+}
+
+/**
+ * Split a sequence into display tokens, with the missing term as the unknown
+ * @param {Object} visual - { terms, missingIndex }
+ * @param {string|number} [answer] - Value shown in place of the missing term
+ * @return {Array<Object>} Tokens with text and kind ('operand' or 'unknown')
+ */
+function getSequenceTokens(visual, answer) {
+  return visual.terms.map((term, index) =>
+    index === visual.missingIndex
+      ? createUnknownToken(answer, UNKNOWN_PLACEHOLDER)
+      : { kind: 'operand', text: String(term) }
+  );
+}
+
+/**
+ * Render a number sequence such as `5, 6, 7, ?`
+ * @param {Object} visual - { terms, missingIndex }
+ * @param {Object} [options] - Render options
+ * @param {string|number} [options.answer] - Value shown in place of the missing term
+ * @return {HTMLElement} Element containing the sequence
+ */
+function renderSequence(visual, options = {}) {
+  const sequence = document.createElement('div');
+  sequence.className = 'sequence';
+
+  getSequenceTokens(visual, options.answer).forEach((token, index) => {
+    if (index > 0) {
+      sequence.appendChild(document.createTextNode(', '));
+    }
+    const span = document.createElement('span');
+    span.className = token.filled ? `${token.kind} filled` : token.kind;
+    span.textContent = token.text;
+    sequence.appendChild(span);
+  });
+
+  return sequence;
+}
+
+function describeSequence(visual, options = {}) {
+  return getSequenceTokens(visual, options.answer)
+    .map(token => token.text)
+    .join(', ');
+}
+
+// Clock face geometry in SVG coordinates
+const CLOCK_SIZE = 200;
+const CLOCK_RADIUS = 90;
+
+/**
+ * Get the point at a clock position, measured in minutes clockwise from 12
+ * @param {number} minutes - Position on the dial (0-60)
+ * @param {number} length - Distance from the center
+ * @return {Object} { x, y }
+ */
+function getClockPoint(minutes, length) {
+  const angle = (minutes / 60) * 2 * Math.PI;
+  const center = CLOCK_SIZE / 2;
+  return {
+    x: Math.round((center + length * Math.sin(angle)) * 100) / 100,
+    y: Math.round((center - length * Math.cos(angle)) * 100) / 100,
+  };
+}
+
+/**
+ * Render an analog clock showing the time of the visual
+ * @param {Object} visual - { hour, minute }
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderClock(visual) {
+  const center = CLOCK_SIZE / 2;
+  const svg = createSvg(CLOCK_SIZE, CLOCK_SIZE, describeClock(visual), 'clock');
+
+  svg.appendChild(
+    createSvgElement('circle', { cx: center, cy: center, r: CLOCK_RADIUS, class: 'clock-face' })
+  );
+
+  for (let tick = 0; tick < 60; tick++) {
+    const isHour = tick % 5 === 0;
+    const outer = getClockPoint(tick, CLOCK_RADIUS - 4);
+    const inner = getClockPoint(tick, CLOCK_RADIUS - (isHour ? 12 : 7));
+    svg.appendChild(
+      createSvgElement('line', {
+        x1: inner.x,
+        y1: inner.y,
+        x2: outer.x,
+        y2: outer.y,
+        class: isHour ? 'clock-tick hour' : 'clock-tick',
+      })
+    );
+  }
+
+  for (let hour = 1; hour <= 12; hour++) {
+    const point = getClockPoint(hour * 5, CLOCK_RADIUS - 26);
+    svg.appendChild(createSvgText(point.x, point.y, hour, { class: 'clock-number' }));
+  }
+
+  // The hour hand moves on between the hours (half way to 4 at 3:30)
+  const hourPosition = ((visual.hour % 12) + visual.minute / 60) * 5;
+  const hands = [
+    { position: hourPosition, length: CLOCK_RADIUS * 0.5, className: 'clock-hand hour-hand' },
+    { position: visual.minute, length: CLOCK_RADIUS * 0.78, className: 'clock-hand minute-hand' },
+  ];
+  hands.forEach(hand => {
+    const tip = getClockPoint(hand.position, hand.length);
+    svg.appendChild(
+      createSvgElement('line', {
+        x1: center,
+        y1: center,
+        x2: tip.x,
+        y2: tip.y,
+        class: hand.className,
+      })
+    );
+  });
+  svg.appendChild(createSvgElement('circle', { cx: center, cy: center, r: 4, class: 'clock-pin' }));
+
+  return svg;
+}
+
+// Describe where the hands point rather than the time itself, which is the answer
+function describeClock(visual) {
+  const minuteNumber = visual.minute === 0 ? 12 : visual.minute / 5;
+  if (visual.minute === 0) {
+    return t('app.visuals.clock', { hour: visual.hour, minute: minuteNumber });
+  }
+  return t('app.visuals.clockBetween', {
+    hour: visual.hour,
+    nextHour: (visual.hour % 12) + 1,
+    minute: minuteNumber,
+  });
+}
+
+// Coin layout: every coin gets a square cell as wide as the largest coin
+const COIN_CELL = 60;
+const COINS_PER_ROW = 5;
+
+/**
+ * Render a group of coins in rows, each coin sized and colored after the real one
+ * @param {Object} visual - { coinSet, coins }
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderCoins(visual) {
+  const columns = Math.min(visual.coins.length, COINS_PER_ROW);
+  const rows = Math.ceil(visual.coins.length / COINS_PER_ROW);
+  const svg = createSvg(columns * COIN_CELL, rows * COIN_CELL, describeCoins(visual), 'coins');
+
+  visual.coins.forEach((value, index) => {
+    const coin = getCoin(visual.coinSet, value);
+    const cx = (index % COINS_PER_ROW) * COIN_CELL + COIN_CELL / 2;
+    const cy = Math.floor(index / COINS_PER_ROW) * COIN_CELL + COIN_CELL / 2;
+    const group = createSvgElement('g', { class: `coin ${coin.metal}` });
+
+    group.appendChild(createSvgElement('circle', { cx, cy, r: coin.radius }));
+    group.appendChild(createSvgText(cx, cy, coin.label, { class: 'coin-label' }));
+    svg.appendChild(group);
+  });
+
+  return svg;
+}
+
+function describeCoins(visual) {
+  return visual.coins.map(value => t(`app.money.${visual.coinSet}.coin`, { value })).join(', ');
+}
+
+// Graph layout: one row per category, the category emoji in a label column
+const GRAPH_ROW_HEIGHT = 36;
+const GRAPH_LABEL_WIDTH = 48;
+const PICTURE_WIDTH = 28;
+const TALLY_SPACING = 8;
+const TALLY_GROUP_WIDTH = 5 * TALLY_SPACING + 6;
+
+/**
+ * Render a picture graph or tally chart
+ * @param {Object} visual - { chart: 'picture' | 'tally', categories: [{ item, count }] }
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderGraph(visual) {
+  const maxCount = Math.max(...visual.categories.map(category => category.count));
+  const barWidth =
+    visual.chart === 'tally'
+      ? Math.ceil(maxCount / 5) * TALLY_GROUP_WIDTH
+      : maxCount * PICTURE_WIDTH;
+  const width = GRAPH_LABEL_WIDTH + 12 + barWidth;
+  const height = visual.categories.length * GRAPH_ROW_HEIGHT;
+  const svg = createSvg(width, height, describeGraph(visual), `graph ${visual.chart}-graph`);
+
+  visual.categories.forEach((category, row) => {
+    const top = row * GRAPH_ROW_HEIGHT;
+    const middle = top + GRAPH_ROW_HEIGHT / 2;
+    const group = createSvgElement('g', { class: 'graph-row' });
+
+    group.appendChild(
+      createSvgText(GRAPH_LABEL_WIDTH / 2, middle, category.item, { class: 'graph-label' })
+    );
+    group.appendChild(
+      createSvgElement('line', {
+        x1: GRAPH_LABEL_WIDTH,
+        y1: top,
+        x2: GRAPH_LABEL_WIDTH,
+        y2: top + GRAPH_ROW_HEIGHT,
+        class: 'graph-axis',
+      })
+    );
+
+    const start = GRAPH_LABEL_WIDTH + 12;
+    if (visual.chart === 'tally') {
+      appendTallyMarks(group, category.count, start, top);
+    } else {
+      for (let i = 0; i < category.count; i++) {
+        group.appendChild(
+          createSvgText(start + i * PICTURE_WIDTH + PICTURE_WIDTH / 2, middle, category.item, {
+            class: 'graph-picture',
+          })
+        );
+      }
+    }
+    svg.appendChild(group);
+  });
+
+  return svg;
+}
+
+/**
+ * Draw tally marks in groups of five: four strokes crossed by a fifth
+ * @param {SVGElement} group - Element to draw into
+ * @param {number} count - Number of marks
+ * @param {number} left - Left edge of the marks
+ * @param {number} top - Top of the row
+ */
+function appendTallyMarks(group, count, left, top) {
+  const y1 = top + 8;
+  const y2 = top + GRAPH_ROW_HEIGHT - 8;
+
+  for (let mark = 0; mark < count; mark++) {
+    const groupLeft = left + Math.floor(mark / 5) * TALLY_GROUP_WIDTH;
+    const position = mark % 5;
+    if (position === 4) {
+      group.appendChild(
+        createSvgElement('line', {
+          x1: groupLeft - 3,
+          y1: y2 - 2,
+          x2: groupLeft + 3 * TALLY_SPACING + 3,
+          y2: y1 + 2,
+          class: 'tally-mark tally-cross',
+        })
+      );
+    } else {
+      const x = groupLeft + position * TALLY_SPACING;
+      group.appendChild(createSvgElement('line', { x1: x, y1, x2: x, y2, class: 'tally-mark' }));
+    }
+  }
+}
+
+function describeGraph(visual) {
+  return visual.categories.map(category => `${category.item}: ${category.count}`).join(', ');
+}
+
+// Shape drawing area; every shape fits the same box so choices line up
+const SHAPE_WIDTH = 140;
+const SHAPE_HEIGHT = 110;
+const SHAPE_CENTER = { x: SHAPE_WIDTH / 2, y: SHAPE_HEIGHT / 2 };
+const SHAPE_RADIUS = 46;
+
+// Boxes of the shapes drawn as rectangles
+const SHAPE_BOXES = {
+  square: { x: 25, y: 10, width: 90, height: 90 },
+  rectangle: { x: 10, y: 20, width: 120, height: 70 },
+};
+
+// Where an unequal split cuts the shape, as a share of its width or height
+const UNEQUAL_SPLIT = 0.28;
+
+/**
+ * Get the corners of a regular polygon with a flat bottom edge
+ * @param {number} sides - Number of sides
+ * @return {string} Value for the points attribute of a <polygon>
+ */
+function getPolygonPoints(sides) {
+  // Odd polygons start from a corner at the top; even ones are turned half a side
+  const start = -Math.PI / 2 + (sides % 2 === 0 ? Math.PI / sides : 0);
+  const points = [];
+  for (let i = 0; i < sides; i++) {
+    const angle = start + (2 * Math.PI * i) / sides;
+    const x = SHAPE_CENTER.x + SHAPE_RADIUS * Math.cos(angle);
+    const y = SHAPE_CENTER.y + SHAPE_RADIUS * Math.sin(angle);
+    points.push(`${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`);
+  }
+  return points.join(' ');
+}
+
+/**
+ * Create the outline of a shape
+ * @param {string} shape - Shape name
+ * @return {SVGElement} The outline element
+ */
+function createShapeOutline(shape) {
+  if (shape === 'circle') {
+    return createSvgElement('circle', {
+      cx: SHAPE_CENTER.x,
+      cy: SHAPE_CENTER.y,
+      r: SHAPE_RADIUS,
+      class: 'shape-outline',
+    });
+  }
+  if (SHAPE_BOXES[shape]) {
+    return createSvgElement('rect', { ...SHAPE_BOXES[shape], class: 'shape-outline' });
+  }
+  const sides = { triangle: 3, pentagon: 5, hexagon: 6 }[shape];
+  return createSvgElement('polygon', { points: getPolygonPoints(sides), class: 'shape-outline' });
+}
+
+/**
+ * Get the lines that split a circle, square or rectangle into 2 or 4 parts
+ * Halves are cut by a vertical line, quarters by a vertical and a horizontal line;
+ * unequal splits move the lines off the middle.
+ * @param {Object} visual - { shape, parts, equal }
+ * @return {Array<Object>} Lines ({ x1, y1, x2, y2 })
+ */
+function getSplitLines(visual) {
+  if (visual.parts < 2) {
+    return [];
+  }
+  const share = visual.equal ? 0.5 : UNEQUAL_SPLIT;
+  const lines = [];
+
+  if (visual.shape === 'circle') {
+    // Chords at the same distance from the center as the split share
+    const offset = (1 - share * 2) * SHAPE_RADIUS;
+    const halfChord = Math.round(Math.sqrt(SHAPE_RADIUS ** 2 - offset ** 2) * 10) / 10;
+    const x = SHAPE_CENTER.x - offset;
+    lines.push({ x1: x, y1: SHAPE_CENTER.y - halfChord, x2: x, y2: SHAPE_CENTER.y + halfChord });
+    if (visual.parts === 4) {
+      const y = SHAPE_CENTER.y - offset;
+      lines.push({ x1: SHAPE_CENTER.x - halfChord, y1: y, x2: SHAPE_CENTER.x + halfChord, y2: y });
+    }
+    return lines;
+  }
+
+  const box = SHAPE_BOXES[visual.shape];
+  const x = box.x + box.width * share;
+  lines.push({ x1: x, y1: box.y, x2: x, y2: box.y + box.height });
+  if (visual.parts === 4) {
+    const y = box.y + box.height * share;
+    lines.push({ x1: box.x, y1: y, x2: box.x + box.width, y2: y });
+  }
+  return lines;
+}
+
+/**
+ * Render a shape, optionally split into parts
+ * @param {Object} visual - { shape, parts, equal }
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderShape(visual) {
+  const svg = createSvg(SHAPE_WIDTH, SHAPE_HEIGHT, describeShape(visual), 'shape');
+  svg.appendChild(createShapeOutline(visual.shape));
+  getSplitLines(visual).forEach(line => {
+    svg.appendChild(createSvgElement('line', { ...line, class: 'shape-split' }));
+  });
+  return svg;
+}
+
+function describeShape(visual) {
+  const shape = t(`app.shapes.${visual.shape}`);
+  if (visual.parts < 2) {
+    return shape;
+  }
+  return t(visual.equal ? 'app.visuals.shapeSplit' : 'app.visuals.shapeSplitUnequal', {
+    shape,
+    parts: visual.parts,
+  });
+}
+
+// Hand geometry in SVG coordinates; each hand holds up to five fingers
+const HAND_WIDTH = 90;
+const HAND_HEIGHT = 130;
+const FINGERS_PER_HAND = 5;
+const PALM = { x: 14, y: 66, width: 62, height: 56 };
+// Top of each raised finger, index to pinky
+const FINGER_TIPS = [14, 8, 12, 24];
+const FINGER_WIDTH = 13;
+
+/**
+ * Render hands holding up fingers: index to pinky first, then the thumb
+ * Counts above five use a full hand and a second one
+ * @param {Object} visual - { count }
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderFingers(visual) {
+  const hands = [];
+  for (let left = visual.count; left > 0; left -= FINGERS_PER_HAND) {
+    hands.push(Math.min(left, FINGERS_PER_HAND));
+  }
+  const svg = createSvg(
+    HAND_WIDTH * Math.max(hands.length, 1),
+    HAND_HEIGHT,
+    describeFingers(visual),
+    'fingers'
+  );
+  hands.forEach((raised, index) => svg.appendChild(createHand(raised, index * HAND_WIDTH)));
+  return svg;
+}
+
+/**
+ * Draw one hand
+ * @param {number} raised - Number of fingers held up (0-5)
+ * @param {number} offset - Left edge of the hand
+ * @return {SVGElement} Group containing the hand
+ */
+function createHand(raised, offset) {
+  const hand = createSvgElement('g', { class: 'hand' });
+  const fingers = FINGER_TIPS.map((tip, index) => ({
+    x: offset + PALM.x + 2 + index * (FINGER_WIDTH + 2),
+    tip,
+    up: index < raised,
+  }));
+
+  // Raised fingers go behind the palm, folded ones are knuckles drawn over it
+  fingers
+    .filter(finger => finger.up)
+    .forEach(finger => {
+      const height = PALM.y - finger.tip + 10;
+      hand.appendChild(createFinger(finger.x, finger.tip, height, 'finger raised'));
+    });
+  hand.appendChild(
+    createSvgElement('rect', { ...PALM, x: offset + PALM.x, rx: 16, class: 'hand-palm' })
+  );
+  fingers
+    .filter(finger => !finger.up)
+    .forEach(finger => hand.appendChild(createFinger(finger.x, PALM.y - 4, 18, 'finger folded')));
+
+  // The thumb sticks out to the side when raised and lies across the palm when folded
+  if (raised === FINGERS_PER_HAND) {
+    const thumb = createFinger(offset + 2, 58, 44, 'finger raised thumb');
+    thumb.setAttribute('transform', `rotate(-25 ${offset + 8} 102)`);
+    hand.appendChild(thumb);
+  } else {
+    hand.appendChild(
+      createSvgElement('rect', {
+        x: offset + PALM.x + 8,
+        y: PALM.y + 20,
+        width: 36,
+        height: FINGER_WIDTH,
+        rx: 6,
+        class: 'finger folded thumb',
+      })
+    );
+  }
+  return hand;
+}
+
+function createFinger(x, y, height, className) {
+  return createSvgElement('rect', { x, y, width: FINGER_WIDTH, height, rx: 6, class: className });
+}
+
+function describeFingers(visual) {
+  return t('app.visuals.fingers', { count: visual.count });
+}
+
+// Double ten-frame geometry in SVG coordinates
+const FRAME_CELL = 28;
+const FRAME_GAP = 16;
+const FRAME_PADDING = 4;
+const FRAME_COLUMNS = 5;
+const FRAME_CELLS = 10;
+
+/**
+ * Render a double ten-frame: `a + b` as two colors of counters,
+ * `a - b` as a counters with the last b crossed out
+ * @param {Object} visual - { first, second, operator }
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderTenFrames(visual) {
+  const frameWidth = FRAME_COLUMNS * FRAME_CELL;
+  const width = 2 * frameWidth + FRAME_GAP + 2 * FRAME_PADDING;
+  const height = 2 * FRAME_CELL + 2 * FRAME_PADDING;
+  const svg = createSvg(width, height, describeTenFrames(visual), 'ten-frames');
+  const frameLeft = frame => FRAME_PADDING + frame * (frameWidth + FRAME_GAP);
+
+  for (let frame = 0; frame < 2; frame++) {
+    for (let cell = 0; cell < FRAME_CELLS; cell++) {
+      svg.appendChild(
+        createSvgElement('rect', {
+          x: frameLeft(frame) + (cell % FRAME_COLUMNS) * FRAME_CELL,
+          y: FRAME_PADDING + Math.floor(cell / FRAME_COLUMNS) * FRAME_CELL,
+          width: FRAME_CELL,
+          height: FRAME_CELL,
+          class: 'frame-cell',
+        })
+      );
+    }
+  }
+
+  const isSubtraction = visual.operator === '-';
+  const total = isSubtraction ? visual.first : visual.first + visual.second;
+  for (let index = 0; index < total; index++) {
+    const cell = index % FRAME_CELLS;
+    const cx =
+      frameLeft(Math.floor(index / FRAME_CELLS)) + ((cell % FRAME_COLUMNS) + 0.5) * FRAME_CELL;
+    const cy = FRAME_PADDING + (Math.floor(cell / FRAME_COLUMNS) + 0.5) * FRAME_CELL;
+    const removed = isSubtraction && index >= visual.first - visual.second;
+    let className = 'counter first';
+    if (removed) {
+      className = 'counter removed';
+    } else if (index >= visual.first) {
+      className = 'counter second';
+    }
+
+    svg.appendChild(
+      createSvgElement('circle', { cx, cy, r: FRAME_CELL / 2 - 4, class: className })
+    );
+    if (removed) {
+      const arm = FRAME_CELL / 2 - 5;
+      svg.appendChild(
+        createSvgElement('path', {
+          d: `M ${cx - arm} ${cy - arm} L ${cx + arm} ${cy + arm} M ${cx + arm} ${cy - arm} L ${
+            cx - arm
+          } ${cy + arm}`,
+          class: 'counter-cross',
+        })
+      );
+    }
+  }
+  return svg;
+}
+
+function describeTenFrames(visual) {
+  const key = visual.operator === '-' ? 'app.visuals.tenFramesRemoved' : 'app.visuals.tenFrames';
+  return t(key, { first: visual.first, second: visual.second });
+}
+
+// Number line geometry in SVG coordinates
+const LINE_WIDTH = 360;
+const LINE_HEIGHT = 110;
+const LINE_PADDING = 20;
+const LINE_Y = 80;
+const HOP_SECONDS = 0.6;
+
+/**
+ * Render a number line that hops from the start, one arc per hop
+ * The hops are drawn one after another by a CSS animation; the landing point is not labelled
+ * @param {Object} visual - { start, hops, min, max }
+ * @return {SVGElement} Inline SVG diagram
+ */
+function renderNumberLine(visual) {
+  const svg = createSvg(LINE_WIDTH, LINE_HEIGHT, describeNumberLine(visual), 'number-line');
+  const unit = (LINE_WIDTH - 2 * LINE_PADDING) / (visual.max - visual.min);
+  const getX = value => Math.round((LINE_PADDING + (value - visual.min) * unit) * 100) / 100;
+
+  svg.appendChild(
+    createSvgElement('line', {
+      x1: getX(visual.min),
+      y1: LINE_Y,
+      x2: getX(visual.max),
+      y2: LINE_Y,
+      class: 'line',
+    })
+  );
+  for (let value = visual.min; value <= visual.max; value++) {
+    const isTen = value % 10 === 0;
+    svg.appendChild(
+      createSvgElement('line', {
+        x1: getX(value),
+        y1: LINE_Y - (isTen ? 8 : 4),
+        x2: getX(value),
+        y2: LINE_Y + (isTen ? 8 : 4),
+        class: 'tick',
+      })
+    );
+    if (isTen || value === visual.start) {
+      svg.appendChild(createSvgText(getX(value), LINE_Y + 20, value, { class: 'tick-label' }));
+    }
+  }
+
+  let position = visual.start;
+  visual.hops.forEach((hop, index) => {
+    const from = getX(position);
+    const to = getX(position + hop);
+    const top = LINE_Y - Math.min(60, 16 + Math.abs(to - from) / 2);
+    const delay = `animation-delay: ${index * HOP_SECONDS}s`;
+    svg.appendChild(
+      createSvgElement('path', {
+        d: `M ${from} ${LINE_Y} Q ${(from + to) / 2} ${top} ${to} ${LINE_Y}`,
+        class: 'hop',
+        style: delay,
+      })
+    );
+    svg.appendChild(
+      createSvgText((from + to) / 2, (LINE_Y + top) / 2 - 6, hop > 0 ? `+${hop}` : hop, {
+        class: 'hop-label',
+        style: delay,
+      })
+    );
+    position += hop;
+  });
+  return svg;
+}
+
+function describeNumberLine(visual) {
+  return t('app.visuals.numberLine', {
+    start: visual.start,
+    hops: visual.hops.map(hop => (hop > 0 ? `+${hop}` : String(hop))).join(', '),
+  });
+}
@@ -0,0 +1,157 @@
+/**
+ * Problem Scheduler
+ * Sits between newProblem and generateProblemByMode to avoid serving the same fact
+ * again within a session. Facts are compared by key, so `2 + 3` and `3 + 2` count as
+ * the same fact. Every fact is served once before any fact repeats (a "cycle"), and
+ * the most recent facts are never repeated back to back, even across cycles.
+ *
+ * A generator may return a problem with nextProblems (e.g. the rest of a fact family);
+ * those are queued and served, in order, before anything new is generated.
+ * Problems served without scheduling (a follow-up after a worked solution) are
+ * recorded with recordProblem so their facts are not repeated either.
+ */
+
+// Number of most recent facts that may not be repeated, even in a new cycle
+export const DEFAULT_RECENT_WINDOW = 5;
+
+// Number of candidates to generate before concluding the fact space is used up
+export const DEFAULT_MAX_ATTEMPTS = 50;
+
+/**
+ * Create an empty scheduler state for a new session
+ * @return {Object} Scheduler state
+ */
+export function createSchedulerState() {
+  return {
+    recentKeys: [],
+    cycleKeys: [],
+    queue: [],
+  };
+}
+
+/**
+ * Get the key identifying the fact behind a problem
+ * Generators may set problem.factKey; otherwise the key is derived from the number
+ * sentence, with the addends of pure additions sorted so commutative problems match.
+ * When the sentence ends in `= result` and a number is hidden, the result follows from the
+ * left-hand side, so only that side is used. Sentences with no hidden number (true/false
+ * statements such as `4 + 1 = 6`) may show a wrong result, so it is kept in the key;
+ * sentences with terms on both sides are used whole.
+ * @param {Object} problem - Structured problem object
+ * @return {string} Fact key
+ */
+export function getFactKey(problem) {
+  if (problem.factKey) {
+    return problem.factKey;
+  }
+
+  if (problem.operands && problem.operands.length > 0) {
+    const endsWithResult = problem.operators.indexOf('=') === problem.operators.length - 1;
+    if (!endsWithResult) {
+      return joinSentence(problem.operands, problem.operators);
+    }
+
+    const terms = problem.operands.slice(0, -1);
+    const operators = problem.operators.slice(0, -1);
+    const shownResult = problem.unknownIndex == null ? `=${problem.operands.at(-1)}` : '';
+    if (operators.every(operator => operator === '+')) {
+      return `+:${[...terms].sort((a, b) => a - b).join(',')}${shownResult}`;
+    }
+    return `${joinSentence(terms, operators)}${shownResult}`;
+  }
+
+  return JSON.stringify([problem.prompt, problem.visual, problem.choices, problem.answer]);
+}
+
+/**
+ * Generate the next problem, avoiding facts already served in the current cycle
+ * @param {Object} schedulerState - Current scheduler state
+ * @param {Function} generate - Returns a new candidate problem
+ * @param {Object} [options] - Scheduling options
+ * @param {number} [options.recentWindow] - Facts that may not repeat back to back
+ * @param {number} [options.maxAttempts] - Candidates to try before starting a new cycle
+ * @return {Object} { problem, schedulerState }
+ */
+export function scheduleProblem(schedulerState, generate, options = {}) {
+  const maxAttempts = options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+
+  // Finish the problems queued by an earlier one first
+  const queue = schedulerState.queue || [];
+  if (queue.length > 0) {
+    const [problem, ...rest] = queue;
+    return {
+      problem,
+      schedulerState: { ...recordProblem(schedulerState, problem, options), queue: rest },
+    };
+  }
+
+  // First look for a fact that has been neither served in this cycle
+  // nor served recently at the end of the previous one
+  let candidate = findCandidate(
+    generate,
+    [...schedulerState.cycleKeys, ...schedulerState.recentKeys],
+    maxAttempts
+  );
+  let cycleKeys = schedulerState.cycleKeys;
+
+  // All reachable facts were served: start a new cycle,
+  // still avoiding the most recent facts
+  if (!candidate.fresh) {
+    candidate = findCandidate(generate, schedulerState.recentKeys, maxAttempts);
+    cycleKeys = [];
+  }
+
+  const { nextProblems = [], ...problem } = candidate.problem;
+  return {
+    problem,
+    schedulerState: {
+      ...recordProblem({ ...schedulerState, cycleKeys }, problem, options),
+      queue: nextProblems,
+    },
+  };
+}
+
+/**
+ * Record a served problem's fact as seen in the current cycle and among the recent facts
+ * Queued problems stay queued, so they are still served next.
+ * @param {Object} schedulerState - Current scheduler state
+ * @param {Object} problem - Problem being served
+ * @param {Object} [options] - Scheduling options
+ * @param {number} [options.recentWindow] - Facts that may not repeat back to back
+ * @return {Object} Updated scheduler state
+ */
+export function recordProblem(schedulerState, problem, options = {}) {
+  const recentWindow = options.recentWindow ?? DEFAULT_RECENT_WINDOW;
+  const key = getFactKey(problem);
+  return {
+    ...schedulerState,
+    recentKeys: [...schedulerState.recentKeys, key].slice(-recentWindow),
+    cycleKeys: [...schedulerState.cycleKeys, key],
+  };
+}
+
+/**
+ * Generate candidates until one's fact key is not in the excluded list
+ * @param {Function} generate - Returns a new candidate problem
+ * @param {Array<string>} excludedKeys - Keys to avoid
+ * @param {number} maxAttempts - Maximum number of candidates
+ * @return {Object} { problem, key, fresh } - fresh is false if every candidate was excluded
+ */
+function findCandidate(generate, excludedKeys, maxAttempts) {
+  let problem;
+  let key;
+
+  for (let attempt = 0; attempt < Math.max(1, maxAttempts); attempt++) {
+    problem = generate();
+    key = getFactKey(problem);
+    if (!excludedKeys.includes(key)) {
+      return { problem, key, fresh: true };
+    }
+  }
+
+  return { problem, key, fresh: false };
+}
+
+function joinSentence(operands, operators) {
+  return operands.map((operand, index) => `${operand}${operators[index] ?? ''}`).join('');
+}
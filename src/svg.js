@@ -0,0 +1,64 @@
+/**
+ * SVG Helpers
+ * Small helpers for building the inline SVG diagrams of problem visuals
+ * (number bonds, base-ten blocks, clocks, ...). Everything is built with DOM calls,
+ * so problem data is never interpreted as markup.
+ */
+
+export const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - Element name (e.g. 'circle', 'text')
+ * @param {Object} [attributes] - Attribute values keyed by name
+ * @param {string|number} [text] - Text content (for 'text' elements)
+ * @return {SVGElement} The new element
+ */
+export function createSvgElement(tag, attributes = {}, text) {
+  const element = document.createElementNS(SVG_NAMESPACE, tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, String(value));
+  }
+  if (text !== undefined) {
+    element.textContent = String(text);
+  }
+  return element;
+}
+
+/**
+ * Create a root <svg> element that scales with its container
+ * @param {number} width - Width of the drawing coordinates
+ * @param {number} height - Height of the drawing coordinates
+ * @param {string} label - Accessible description of the drawing
+ * @param {string} [className] - Class name for styling
+ * @return {SVGElement} The <svg> element
+ */
+export function createSvg(width, height, label, className) {
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width,
+    height,
+    role: 'img',
+    'aria-label': label,
+  });
+  if (className) {
+    svg.setAttribute('class', className);
+  }
+  return svg;
+}
+
+/**
+ * Create centered text, e.g. a number inside a circle
+ * @param {number} x - Center x
+ * @param {number} y - Center y
+ * @param {string|number} text - Text to show
+ * @param {Object} [attributes] - Extra attributes (class, font-size, ...)
+ * @return {SVGElement} The <text> element
+ */
+export function createSvgText(x, y, text, attributes = {}) {
+  return createSvgElement(
+    'text',
+    { x, y, 'text-anchor': 'middle', 'dominant-baseline': 'central', ...attributes },
+    text
+  );
+}
@@ -3,27 +3,129 @@
  * General-purpose utility functions used throughout the application
  */
 
+/**
+ * Convert a seed (number or string) into a 32-bit unsigned integer
+ * Strings are hashed so codes like 'class-3b' can be used as seeds
+ * @param {number|string} seed - Seed value
+ * @return {number} 32-bit unsigned integer
+ */
+export function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isInteger(seed)) {
+    return seed >>> 0;
+  }
+
+  // FNV-1a hash of the string form
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The returned function is a drop-in replacement for Math.random:
+ * the same seed always produces the same sequence
+ * @param {number|string} seed - Seed value
+ * @return {Function} Function returning a number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a new seed for a session
+ * Seeds are six-digit strings so they are easy to share with a class
+ * @param {Function} [random=Math.random] - Random number source
+ * @return {string} Seed value
+ */
+export function generateSeed(random = Math.random) {
+  return String(getRandomNumber(100000, 999999, random));
+}
+
 /**
  * Generate a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} [random=Math.random] - Random number source, e.g. from createRandom
  * @return {number} Random integer between min and max
  */
-export function getRandomNumber(min, max) {
+export function getRandomNumber(min, max, random = Math.random) {
   if (min > max) {
     throw new Error('Min value must be less than or equal to max value');
   }
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * Pick a random element from an array
+ * @param {Array} items - Items to choose from
+ * @param {Function} [random=Math.random] - Random number source
+ * @return {*} Randomly chosen item
+ */
+export function getRandomItem(items, random = Math.random) {
+  return items[getRandomNumber(0, items.length - 1, random)];
+}
+
+/**
+ * Pick several different elements from an array, in random order
+ * @param {Array} items - Items to choose from
+ * @param {number} count - Number of items to pick (at most items.length)
+ * @param {Function} [random=Math.random] - Random number source
+ * @return {Array} Randomly chosen items
+ */
+export function getRandomSample(items, count, random = Math.random) {
+  const remaining = [...items];
+  const sample = [];
+  while (sample.length < count && remaining.length > 0) {
+    sample.push(remaining.splice(getRandomNumber(0, remaining.length - 1, random), 1)[0]);
+  }
+  return sample;
+}
+
+/**
+ * Pick a random element from an array, favouring elements with larger weights
+ * @param {Array} items - Items to choose from
+ * @param {Array<number>} weights - Non-negative weight of each item
+ * @param {Function} [random=Math.random] - Random number source
+ * @return {*} Randomly chosen item, or undefined if no item has a positive weight
+ */
+export function getWeightedRandomItem(items, weights, random = Math.random) {
+  const total = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+  if (total <= 0) {
+    return undefined;
+  }
+
+  let threshold = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    threshold -= Math.max(0, weights[i]);
+    if (threshold < 0) {
+      return items[i];
+    }
+  }
+
+  // Guard against floating point rounding on the last item
+  return items[items.length - 1];
 }
 
 /**
  * Get a random difficulty level for mixed difficulty mode
  * Currently returns either 'medium' or 'hard'
+ * @param {Function} [random=Math.random] - Random number source
  * @return {string} Random difficulty level
  */
-export function getRandomDifficulty() {
-  const difficulties = ['medium', 'hard'];
-  return difficulties[Math.floor(Math.random() * difficulties.length)];
+export function getRandomDifficulty(random = Math.random) {
+  return getRandomItem(['medium', 'hard'], random);
 }
 
 /**
@@ -41,6 +143,16 @@ export function formatTime(seconds) {
   return `${minutes}:${remainingSeconds < 10 ? '0' : ''}${remainingSeconds}`;
 }
 
+/**
+ * Format a time of day as read from an analog clock (H:MM, 12-hour)
+ * @param {number} hour - Hour (1-12)
+ * @param {number} minute - Minute (0-59)
+ * @return {string} Formatted time string, e.g. '3:30'
+ */
+export function formatClockTime(hour, minute) {
+  return `${hour}:${minute < 10 ? '0' : ''}${minute}`;
+}
+
 /**
  * Check if a value is a valid number
  * @param {*} value - Value to check
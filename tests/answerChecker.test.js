@@ -0,0 +1,108 @@
+/**
+ * Answer Checker Tests
+ * Tests for parsing and checking numeric and non-numeric answers
+ */
+
+import {
+  getAnswerInput,
+  parseAnswer,
+  isCorrectAnswer,
+  registerAnswerInput,
+  formatAnswer,
+} from '../src/answerChecker';
+import { createEquationProblem } from '../src/problemGenerator';
+
+const additionProblem = createEquationProblem([3, 4, 7], ['+', '='], 2);
+const comparisonProblem = createEquationProblem([23, 32], ['<'], null, {
+  unknownOperatorIndex: 0,
+  answer: '<',
+  input: 'symbol',
+});
+
+describe('Answer Checker', () => {
+  describe('getAnswerInput', () => {
+    test('defaults to number answers', () => {
+      expect(getAnswerInput(additionProblem)).toBe('number');
+      expect(getAnswerInput(comparisonProblem)).toBe('symbol');
+    });
+  });
+
+  describe('parseAnswer', () => {
+    test('parses numbers and rejects empty input', () => {
+      expect(parseAnswer(additionProblem, '12')).toBe(12);
+      expect(parseAnswer(additionProblem, '')).toBeNull();
+      expect(parseAnswer(additionProblem, '<')).toBeNull();
+    });
+
+    test('accepts only comparison symbols for symbol answers', () => {
+      expect(parseAnswer(comparisonProblem, ' > ')).toBe('>');
+      expect(parseAnswer(comparisonProblem, '=')).toBe('=');
+      expect(parseAnswer(comparisonProblem, '5')).toBeNull();
+    });
+
+    test('parses the true/false pad answers as booleans', () => {
+      const problem = { input: 'trueFalse', answer: false };
+      expect(parseAnswer(problem, '✓')).toBe(true);
+      expect(parseAnswer(problem, '✗')).toBe(false);
+      expect(parseAnswer(problem, 'true')).toBeNull();
+      expect(isCorrectAnswer(problem, '✗')).toBe(true);
+    });
+
+    test('parses times entered as H:MM', () => {
+      const problem = { input: 'time', answer: '3:30' };
+      expect(parseAnswer(problem, '3:30')).toBe('3:30');
+      expect(parseAnswer(problem, '03:30')).toBe('3:30');
+      expect(parseAnswer(problem, '330')).toBeNull();
+      expect(parseAnswer(problem, '13:00')).toBeNull();
+      expect(parseAnswer(problem, '3:75')).toBeNull();
+      expect(isCorrectAnswer(problem, '03:30')).toBe(true);
+      expect(isCorrectAnswer(problem, '4:30')).toBe(false);
+    });
+
+    test('uses the id of the chosen choice for multiple-choice answers', () => {
+      const problem = { input: 'choice', answer: 'B', choices: [{ id: 'A' }, { id: 'B' }] };
+      expect(parseAnswer(problem, 'B')).toBe('B');
+      expect(parseAnswer(problem, '')).toBeNull();
+      expect(isCorrectAnswer(problem, 'B')).toBe(true);
+      expect(isCorrectAnswer(problem, 'A')).toBe(false);
+    });
+
+    test('throws for unknown answer inputs', () => {
+      expect(() => parseAnswer({ input: 'missing' }, '1')).toThrow(
+        'No parser registered for answer input \'missing\''
+      );
+    });
+  });
+
+  describe('isCorrectAnswer', () => {
+    test('compares numeric answers', () => {
+      expect(isCorrectAnswer(additionProblem, '7')).toBe(true);
+      expect(isCorrectAnswer(additionProblem, '6')).toBe(false);
+    });
+
+    test('compares symbol answers', () => {
+      expect(isCorrectAnswer(comparisonProblem, '<')).toBe(true);
+      expect(isCorrectAnswer(comparisonProblem, '>')).toBe(false);
+      expect(isCorrectAnswer(comparisonProblem, '')).toBe(false);
+    });
+  });
+
+  describe('formatAnswer', () => {
+    test('shows answers the way the answer pad shows them', () => {
+      expect(formatAnswer(additionProblem)).toBe('7');
+      expect(formatAnswer(comparisonProblem)).toBe('<');
+      expect(formatAnswer({ input: 'trueFalse', answer: true })).toBe('✓');
+      expect(formatAnswer({ input: 'trueFalse', answer: true }, false)).toBe('✗');
+    });
+  });
+
+  describe('registerAnswerInput', () => {
+    test('adds parsers for new answer inputs', () => {
+      registerAnswerInput('word', text => text.toLowerCase() || null);
+      const problem = { input: 'word', answer: 'ten' };
+
+      expect(isCorrectAnswer(problem, 'TEN')).toBe(true);
+      expect(() => registerAnswerInput('broken')).toThrow('parse function');
+    });
+  });
+});
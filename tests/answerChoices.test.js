@@ -0,0 +1,93 @@
+/**
+ * Answer Choices Tests
+ * Tests for the multiple-choice answers and their common-mistake distractors
+ */
+
+import { getAnswerChoices, supportsAnswerChoices, ANSWER_CHOICE_COUNT } from '../src/answerChoices';
+import { createEquationProblem, generateProblemByMode } from '../src/problemGenerator';
+import { getDifficultySettings } from '../src/problemRegistry';
+import { createRandom } from '../src/utils';
+
+describe('Answer Choices', () => {
+  describe('supportsAnswerChoices', () => {
+    test('offers choices for number and time answers only', () => {
+      expect(supportsAnswerChoices(createEquationProblem([3, 4, 7], ['+', '='], 2))).toBe(true);
+      expect(supportsAnswerChoices({ answer: '3:30', input: 'time' })).toBe(true);
+      expect(supportsAnswerChoices({ answer: '<', input: 'symbol' })).toBe(false);
+      expect(supportsAnswerChoices({ answer: true, input: 'trueFalse' })).toBe(false);
+    });
+  });
+
+  describe('getAnswerChoices', () => {
+    test('includes the answer once among distinct choices', () => {
+      const problem = createEquationProblem([8, 5, 13], ['+', '='], 2);
+      const choices = getAnswerChoices(problem, createRandom('choices'));
+
+      expect(choices).toHaveLength(ANSWER_CHOICE_COUNT);
+      expect(new Set(choices).size).toBe(ANSWER_CHOICE_COUNT);
+      expect(choices.filter(choice => choice === '13')).toHaveLength(1);
+    });
+
+    test('draws distractors from common mistakes', () => {
+      // Off by one (12, 14), operand echo (8, 5) and the wrong operation (3)
+      const problem = createEquationProblem([8, 5, 13], ['+', '='], 2);
+      for (let i = 0; i < 10; i++) {
+        const choices = getAnswerChoices(problem, createRandom(`mistakes-${i}`));
+        choices.forEach(choice => expect(['3', '5', '8', '12', '13', '14']).toContain(choice));
+      }
+    });
+
+    test('uses the other operation for a missing addend', () => {
+      // 4 + ? = 9: adding the given numbers gives 13
+      const problem = createEquationProblem([4, 5, 9], ['+', '='], 1);
+      const seen = new Set();
+      for (let i = 0; i < 20; i++) {
+        getAnswerChoices(problem, createRandom(`addend-${i}`)).forEach(c => seen.add(c));
+      }
+      expect(seen).toContain('13');
+      expect(seen).toContain('9');
+    });
+
+    test('never offers negative numbers and fills up with nearby answers', () => {
+      // 1 - 1 = 0 has few mistakes of its own
+      const problem = createEquationProblem([1, 1, 0], ['-', '='], 2);
+      for (let i = 0; i < 10; i++) {
+        const choices = getAnswerChoices(problem, createRandom(`zero-${i}`));
+        expect(choices).toHaveLength(ANSWER_CHOICE_COUNT);
+        expect(choices).toContain('0');
+        choices.forEach(choice => expect(Number(choice)).toBeGreaterThanOrEqual(0));
+      }
+    });
+
+    test('uses the numbers of a word problem story', () => {
+      const problem = generateProblemByMode('easy', getDifficultySettings(), 'wordProblem', {
+        random: createRandom('story'),
+      });
+      const { a, b, c } = problem.prompt.params;
+      const mistakes = [a, b, c, a + b, Math.abs(a - b), problem.answer + 1, problem.answer - 1];
+      const choices = getAnswerChoices(problem, createRandom('story-choices'));
+
+      expect(choices).toContain(String(problem.answer));
+      choices.forEach(choice => expect(mistakes.map(String)).toContain(choice));
+    });
+
+    test('offers clock times with the hour or the hands misread', () => {
+      const problem = { answer: '3:30', input: 'time' };
+      const choices = getAnswerChoices(problem, createRandom('clock'), 5);
+
+      expect(choices).toHaveLength(5);
+      expect(choices.sort()).toEqual(['2:30', '3:00', '3:30', '4:30', '6:15']);
+    });
+
+    test('returns no choices for one-tap answers', () => {
+      expect(getAnswerChoices({ answer: '<', input: 'symbol' })).toEqual([]);
+    });
+
+    test('is repeatable with the same random source', () => {
+      const problem = createEquationProblem([12, 7, 5], ['-', '='], 2);
+      expect(getAnswerChoices(problem, createRandom('same'))).toEqual(
+        getAnswerChoices(problem, createRandom('same'))
+      );
+    });
+  });
+});
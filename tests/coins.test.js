@@ -0,0 +1,38 @@
+/**
+ * Coin Set Tests
+ * Tests for picking and looking up the coins of money problems
+ */
+
+import { COIN_SETS, DEFAULT_COIN_SET, getCoinSetForLanguage, getCoin } from '../src/coins';
+import { AVAILABLE_LANGUAGES } from '../src/i18n';
+
+describe('Coin Sets', () => {
+  describe('getCoinSetForLanguage', () => {
+    test('uses cents for English and yen for Japanese', () => {
+      expect(getCoinSetForLanguage('en')).toBe('usd');
+      expect(getCoinSetForLanguage('ja')).toBe('jpy');
+    });
+
+    test('falls back to the default coin set', () => {
+      expect(getCoinSetForLanguage('fr')).toBe(DEFAULT_COIN_SET);
+    });
+
+    test('has a coin set for every available language', () => {
+      Object.keys(AVAILABLE_LANGUAGES).forEach(language => {
+        expect(COIN_SETS[getCoinSetForLanguage(language)]).toBeDefined();
+      });
+    });
+  });
+
+  describe('getCoin', () => {
+    test('looks up a coin by value', () => {
+      expect(getCoin('usd', 25)).toEqual({ label: '25¢', metal: 'silver', radius: 24 });
+      expect(getCoin('jpy', 500).label).toBe('500');
+    });
+
+    test('throws for coins missing from the set', () => {
+      expect(() => getCoin('usd', 500)).toThrow('No 500 coin in coin set \'usd\'');
+      expect(() => getCoin('eur', 1)).toThrow('coin set \'eur\'');
+    });
+  });
+});
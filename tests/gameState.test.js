@@ -9,8 +9,19 @@ import {
   updateScore,
   recordIncorrectProblem,
   getUniqueIncorrectProblems,
+  groupProblemsByFactFamily,
   calculateAccuracy,
   setGameActive,
+  updateUnknownPosition,
+  updateRunningCount,
+  updateAnswerMode,
+  toggleCountedObject,
+  hideProblemVisual,
+  startWorkedSolution,
+  nextWorkedStep,
+  updateRegrouping,
+  updateMixWeights,
+  recordModeResult,
 } from '../src/gameState';
 
 describe('Game State Management', () => {
@@ -26,13 +37,23 @@ describe('Game State Management', () => {
       expect(gameState).toEqual({
         gameMode: 'addition',
         difficulty: 'easy',
+        unknownPosition: 'result',
+        regrouping: 'any',
+        seed: null,
+        mixWeights: null,
+        showRunningCount: false,
+        answerMode: 'keypad',
         currentProblem: {},
+        countedObjects: [],
+        visualHidden: false,
+        workedStep: null,
         score: 0,
         incorrectAttempts: 0,
         currentProblemAttempts: 0,
         timeLeft: 180, // 3 minutes in seconds
         gameActive: false,
         incorrectProblems: [],
+        modeStats: {},
       });
     });
   });
@@ -113,6 +134,23 @@ describe('Game State Management', () => {
     });
   });
 
+  describe('groupProblemsByFactFamily', () => {
+    test('keeps the facts of a family together in order of first appearance', () => {
+      const problems = [
+        { question: '3 + 5 = ?', family: [3, 5, 8] },
+        { question: '2 + 2 = ?' },
+        { question: '8 - 5 = ?', family: [3, 5, 8] },
+        { question: '9 - 4 = ?', family: [4, 5, 9] },
+      ];
+
+      expect(groupProblemsByFactFamily(problems)).toEqual([
+        { family: [3, 5, 8], problems: [problems[0], problems[2]] },
+        { family: null, problems: [problems[1]] },
+        { family: [4, 5, 9], problems: [problems[3]] },
+      ]);
+    });
+  });
+
   describe('calculateAccuracy', () => {
     test('calculates accuracy as percentage of correct answers', () => {
       // 3 correct, 2 incorrect
@@ -137,6 +175,117 @@ describe('Game State Management', () => {
     });
   });
 
+  describe('updateUnknownPosition', () => {
+    test('updates the unknown position and survives a reset', () => {
+      const newState = updateUnknownPosition(gameState, 'any');
+      expect(newState.unknownPosition).toBe('any');
+      expect(resetGameState(newState).unknownPosition).toBe('any');
+    });
+  });
+
+  describe('updateRunningCount', () => {
+    test('turns the running count on and keeps it across a reset', () => {
+      const newState = updateRunningCount(gameState, true);
+      expect(newState.showRunningCount).toBe(true);
+      expect(resetGameState(newState).showRunningCount).toBe(true);
+    });
+  });
+
+  describe('updateAnswerMode', () => {
+    test('switches to multiple choice and keeps it across a reset', () => {
+      const newState = updateAnswerMode(gameState, 'choices');
+      expect(newState.answerMode).toBe('choices');
+      expect(resetGameState(newState).answerMode).toBe('choices');
+    });
+  });
+
+  describe('toggleCountedObject', () => {
+    test('numbers objects in the order they are tapped', () => {
+      let newState = toggleCountedObject(gameState, 4);
+      newState = toggleCountedObject(newState, 0);
+      expect(newState.countedObjects).toEqual([4, 0]);
+      expect(gameState.countedObjects).toEqual([]);
+    });
+
+    test('takes back only the last counted object', () => {
+      const counted = { ...gameState, countedObjects: [4, 0, 2] };
+      expect(toggleCountedObject(counted, 2).countedObjects).toEqual([4, 0]);
+      expect(toggleCountedObject(counted, 0)).toBe(counted);
+    });
+
+    test('clears the counted objects on reset', () => {
+      const counted = toggleCountedObject(gameState, 1);
+      expect(resetGameState(counted).countedObjects).toEqual([]);
+    });
+  });
+
+  describe('hideProblemVisual', () => {
+    test('hides the visual until the next game', () => {
+      const newState = hideProblemVisual(gameState);
+      expect(newState.visualHidden).toBe(true);
+      expect(gameState.visualHidden).toBe(false);
+      expect(resetGameState(newState).visualHidden).toBe(false);
+    });
+  });
+
+  describe('worked solutions', () => {
+    test('start at the first step and advance one step at a time', () => {
+      const started = startWorkedSolution(gameState);
+      expect(started.workedStep).toBe(0);
+      expect(nextWorkedStep(nextWorkedStep(started)).workedStep).toBe(2);
+      expect(gameState.workedStep).toBeNull();
+      expect(resetGameState(started).workedStep).toBeNull();
+    });
+  });
+
+  describe('updateRegrouping', () => {
+    test('updates the regrouping sub-level without touching difficulty', () => {
+      const newState = updateRegrouping(gameState, 'crossTen');
+      expect(newState.regrouping).toBe('crossTen');
+      expect(newState.difficulty).toBe(gameState.difficulty);
+    });
+  });
+
+  describe('updateMixWeights', () => {
+    test('updates the mixed mode weighting and survives a reset', () => {
+      const weights = { subtraction: 50, addition: 30, counting: 20 };
+      const newState = updateMixWeights(gameState, weights);
+      expect(newState.mixWeights).toEqual(weights);
+      expect(resetGameState(newState).mixWeights).toEqual(weights);
+    });
+  });
+
+  describe('recordModeResult', () => {
+    test('counts correct answers and incorrect attempts per source mode', () => {
+      let newState = recordModeResult(gameState, 'addition', true);
+      newState = recordModeResult(newState, 'addition', false);
+      newState = recordModeResult(newState, 'counting', true);
+
+      expect(newState.modeStats).toEqual({
+        addition: { correct: 1, incorrect: 1, answerMode: 'keypad' },
+        counting: { correct: 1, incorrect: 0, answerMode: 'keypad' },
+      });
+      expect(gameState.modeStats).toEqual({});
+    });
+
+    test('records how each mode was answered', () => {
+      let newState = updateAnswerMode(gameState, 'choices');
+      newState = recordModeResult(newState, 'addition', true);
+      // Comparisons keep their symbol pad in a multiple-choice session
+      newState = recordModeResult(newState, 'comparison', false, 'keypad');
+
+      expect(newState.modeStats).toEqual({
+        addition: { correct: 1, incorrect: 0, answerMode: 'choices' },
+        comparison: { correct: 0, incorrect: 1, answerMode: 'keypad' },
+      });
+    });
+
+    test('is cleared by a reset', () => {
+      const newState = recordModeResult(gameState, 'addition', true);
+      expect(resetGameState(newState).modeStats).toEqual({});
+    });
+  });
+
   describe('setGameActive', () => {
     test('activates the game', () => {
       expect(gameState.gameActive).toBe(false);
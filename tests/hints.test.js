@@ -0,0 +1,250 @@
+/**
+ * Hint Tests
+ * Tests for the strategy hints shown after a wrong answer
+ */
+
+import { getHint, getVisualHint, getWorkedSolution } from '../src/hints';
+import { t } from '../src/i18n';
+import { createEquationProblem } from '../src/problemGenerator';
+import enTranslations from '../locales/en.json';
+import jaTranslations from '../locales/ja.json';
+
+/**
+ * Build a strategy problem such as `6 + 7 = ?`
+ * @param {number} num1 - First addend
+ * @param {number} num2 - Second addend
+ * @param {string} strategy - Strategy name
+ * @return {Object} Problem object
+ */
+function strategyProblem(num1, num2, strategy) {
+  return { ...createEquationProblem([num1, num2, num1 + num2], ['+', '='], 2), strategy };
+}
+
+describe('Hints', () => {
+  describe('getHint', () => {
+    test('explains a double', () => {
+      expect(getHint(strategyProblem(6, 6, 'double'))).toEqual({
+        key: 'app.hints.double',
+        params: { addend: 6 },
+      });
+    });
+
+    test('explains a near double from the smaller double', () => {
+      const expected = {
+        key: 'app.hints.nearDouble',
+        params: { num1: 7, num2: 6, double: 6, doubleSum: 12 },
+      };
+      expect(getHint(strategyProblem(7, 6, 'nearDouble'))).toEqual(expected);
+    });
+
+    test('explains making ten with the bigger addend', () => {
+      expect(getHint(strategyProblem(4, 9, 'makeTen'))).toEqual({
+        key: 'app.hints.makeTen',
+        params: { bigger: 9, smaller: 4, fill: 1, rest: 3 },
+      });
+    });
+
+    test('returns null for problems without a strategy', () => {
+      expect(getHint(createEquationProblem([2, 3, 5], ['+', '='], 2))).toBeNull();
+      expect(getHint(strategyProblem(2, 3, 'unknown'))).toBeNull();
+      expect(getHint(null)).toBeNull();
+    });
+
+    test('has hint translations in every language', () => {
+      ['double', 'nearDouble', 'makeTen'].forEach(strategy => {
+        expect(enTranslations.app.hints[strategy]).toBeDefined();
+        expect(jaTranslations.app.hints[strategy]).toBeDefined();
+      });
+    });
+  });
+
+  describe('getVisualHint', () => {
+    test('uses a double ten-frame within twenty', () => {
+      expect(getVisualHint(createEquationProblem([8, 5, 13], ['+', '='], 2))).toEqual({
+        type: 'tenFrames',
+        first: 8,
+        second: 5,
+        operator: '+',
+      });
+      expect(getVisualHint(createEquationProblem([20, 6, 14], ['-', '='], 2))).toEqual({
+        type: 'tenFrames',
+        first: 20,
+        second: 6,
+        operator: '-',
+      });
+    });
+
+    test('hops along a number line in tens and then ones beyond twenty', () => {
+      expect(getVisualHint(createEquationProblem([23, 25, 48], ['+', '='], 2))).toEqual({
+        type: 'numberLine',
+        start: 23,
+        hops: [10, 10, 5],
+        min: 20,
+        max: 50,
+      });
+      expect(getVisualHint(createEquationProblem([65, 12, 53], ['-', '='], 2))).toEqual({
+        type: 'numberLine',
+        start: 65,
+        hops: [-10, -2],
+        min: 50,
+        max: 70,
+      });
+    });
+
+    test('draws the solved sentence of a missing addend or subtrahend', () => {
+      // 4 + ? = 9 shows 4 and the 5 that are missing
+      expect(getVisualHint(createEquationProblem([4, 5, 9], ['+', '='], 1))).toEqual({
+        type: 'tenFrames',
+        first: 4,
+        second: 5,
+        operator: '+',
+      });
+      expect(getVisualHint(createEquationProblem([15, 3, 12], ['-', '='], 0))).toEqual({
+        type: 'tenFrames',
+        first: 15,
+        second: 3,
+        operator: '-',
+      });
+      expect(getVisualHint(createEquationProblem([30, 14, 44], ['+', '='], 1))).toEqual({
+        type: 'numberLine',
+        start: 30,
+        hops: [10, 4],
+        min: 30,
+        max: 50,
+      });
+    });
+
+    test('hops through every step of a three-number sentence', () => {
+      // 8 + 5 - 4 goes up to 13 before coming back to 9
+      expect(getVisualHint(createEquationProblem([8, 5, 4, 9], ['+', '-', '='], 3))).toEqual({
+        type: 'numberLine',
+        start: 8,
+        hops: [5, -4],
+        min: 0,
+        max: 20,
+      });
+    });
+
+    test('draws the side with the unknown of a balanced equation', () => {
+      expect(getVisualHint(createEquationProblem([5, 2, 3, 4], ['+', '=', '+'], 3))).toEqual({
+        type: 'tenFrames',
+        first: 3,
+        second: 4,
+        operator: '+',
+      });
+    });
+
+    test('returns null when no number is hidden in a sum or difference', () => {
+      expect(getVisualHint(createEquationProblem([4, 1, 6], ['+', '='], null))).toBeNull();
+      expect(getVisualHint(createEquationProblem([23, 32], ['<'], null))).toBeNull();
+      expect(getVisualHint({ operands: [], operators: [], unknownIndex: null })).toBeNull();
+    });
+  });
+
+  describe('getWorkedSolution', () => {
+    const stepTexts = problem => getWorkedSolution(problem).map(step => t(step.key, step.params));
+
+    test('counts on from the first number of a sum', () => {
+      expect(stepTexts(createEquationProblem([8, 5, 13], ['+', '='], 2))).toEqual([
+        'Start at 8.',
+        'Count on 5: 9, 10, 11, 12, 13.',
+        'So 8 + 5 = 13.',
+      ]);
+      expect(getWorkedSolution(createEquationProblem([23, 25, 48], ['+', '='], 2))[1]).toEqual(
+        expect.objectContaining({
+          params: { amount: 25, counts: '33, 43, 48' },
+          visual: expect.objectContaining({ type: 'numberLine', hops: [10, 10, 5] }),
+        })
+      );
+    });
+
+    test('takes objects away for a difference within twenty', () => {
+      const problem = createEquationProblem([13, 5, 8], ['-', '='], 2);
+      const steps = getWorkedSolution(problem);
+
+      expect(stepTexts(problem)).toEqual([
+        'Start with 13.',
+        'Take away 5.',
+        '8 are left.',
+        'So 13 - 5 = 8.',
+      ]);
+      expect(steps[1].visual).toEqual({ type: 'tenFrames', first: 13, second: 5, operator: '-' });
+      expect(stepTexts(createEquationProblem([65, 12, 53], ['-', '='], 2))[1]).toBe(
+        'Count back 12: 55, 53.'
+      );
+    });
+
+    test('splits through ten in three-number problems', () => {
+      expect(stepTexts(createEquationProblem([8, 5, 4, 9], ['+', '-', '='], 3))).toEqual([
+        'Split 5 into 2 and 3: 8 + 2 = 10, then 10 + 3 = 13.',
+        'Split 4 into 3 and 1: 13 - 3 = 10, then 10 - 1 = 9.',
+        'So 8 + 5 - 4 = 9.',
+      ]);
+      expect(stepTexts(createEquationProblem([6, 4, 3, 13], ['+', '+', '='], 3))).toEqual([
+        '6 + 4 = 10',
+        '10 + 3 = 13',
+        'So 6 + 4 + 3 = 13.',
+      ]);
+    });
+
+    test('counts on from the known part for a missing addend', () => {
+      expect(stepTexts(createEquationProblem([4, 5, 9], ['+', '='], 1))).toEqual([
+        'Start at 4.',
+        'Count on to 9: 5, 6, 7, 8, 9.',
+        'That is 5 more.',
+        'So 4 + 5 = 9.',
+      ]);
+      expect(stepTexts(createEquationProblem([5, 4, 9], ['+', '='], 0))[0]).toBe('Start at 4.');
+    });
+
+    test('takes away down to the rest for a missing subtrahend', () => {
+      const problem = createEquationProblem([12, 7, 5], ['-', '='], 1);
+
+      expect(stepTexts(problem)).toEqual([
+        'Start with 12.',
+        'Take away until 5 are left.',
+        '7 were taken away.',
+        'So 12 - 7 = 5.',
+      ]);
+      expect(getWorkedSolution(problem)[1].visual).toEqual({
+        type: 'tenFrames',
+        first: 12,
+        second: 7,
+        operator: '-',
+      });
+      expect(stepTexts(createEquationProblem([45, 12, 33], ['-', '='], 1)).slice(1, 3)).toEqual([
+        'Count back to 33: 35, 33.',
+        'That is 12 less.',
+      ]);
+    });
+
+    test('counts on from the rest for a missing minuend', () => {
+      expect(stepTexts(createEquationProblem([9, 4, 5], ['-', '='], 0))).toEqual([
+        'Start at 5.',
+        'Count on 4: 6, 7, 8, 9.',
+        'So 9 - 4 = 5.',
+      ]);
+    });
+
+    test('works out the known side of a balanced equation first', () => {
+      expect(stepTexts(createEquationProblem([5, 2, 3, 4], ['+', '=', '+'], 2))).toEqual([
+        'First, 5 + 2 = 7.',
+        'Start at 4.',
+        'Count on to 7: 5, 6, 7.',
+        'That is 3 more.',
+        'So 5 + 2 = 3 + 4.',
+      ]);
+      expect(stepTexts(createEquationProblem([6, 2, 7, 3], ['-', '=', '-'], 2))).toEqual([
+        'First, 6 - 2 = 4.',
+        'Start at 4.',
+        'Count on 3: 5, 6, 7.',
+        'So 6 - 2 = 7 - 3.',
+      ]);
+    });
+
+    test('gives the answer for other problems', () => {
+      const problem = { operands: [], operators: [], unknownIndex: null, answer: 7 };
+      expect(stepTexts(problem)).toEqual(['The answer is 7']);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Mixed Mode Preset Tests
+ * Tests for saving and loading named mixed mode weightings
+ */
+
+import {
+  loadMixPresets,
+  saveMixPreset,
+  deleteMixPreset,
+  sanitizeMixWeights,
+  MIX_PRESETS_STORAGE_KEY,
+} from '../src/mixPresets';
+
+describe('Mixed Mode Presets', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('sanitizeMixWeights', () => {
+    test('keeps only finite positive weights', () => {
+      expect(
+        sanitizeMixWeights({ addition: '30', subtraction: 50, counting: 0, mixed: 'abc', x: -2 })
+      ).toEqual({ addition: 30, subtraction: 50 });
+    });
+  });
+
+  describe('saveMixPreset and loadMixPresets', () => {
+    test('saves presets by name and loads them back', () => {
+      saveMixPreset('Subtraction focus', { subtraction: 50, addition: 30, counting: 20 });
+      saveMixPreset('Counting', { counting: 1 });
+
+      expect(loadMixPresets()).toEqual({
+        'Subtraction focus': { subtraction: 50, addition: 30, counting: 20 },
+        Counting: { counting: 1 },
+      });
+    });
+
+    test('replaces a preset with the same name', () => {
+      saveMixPreset('Mine', { addition: 1 });
+      const presets = saveMixPreset(' Mine ', { subtraction: 1 });
+
+      expect(presets).toEqual({ Mine: { subtraction: 1 } });
+    });
+
+    test('rejects empty names and presets without weights', () => {
+      expect(() => saveMixPreset('  ', { addition: 1 })).toThrow();
+      expect(() => saveMixPreset('x'.repeat(31), { addition: 1 })).toThrow();
+      expect(() => saveMixPreset('Empty', { addition: 0 })).toThrow();
+      expect(loadMixPresets()).toEqual({});
+    });
+
+    test('ignores unreadable saved data', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        localStorage.setItem(MIX_PRESETS_STORAGE_KEY, '{not json');
+        expect(loadMixPresets()).toEqual({});
+
+        localStorage.setItem(MIX_PRESETS_STORAGE_KEY, '[1, 2]');
+        expect(loadMixPresets()).toEqual({});
+      } finally {
+        warnSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('deleteMixPreset', () => {
+    test('removes only the named preset', () => {
+      saveMixPreset('A', { addition: 1 });
+      saveMixPreset('B', { subtraction: 1 });
+
+      expect(deleteMixPreset('A')).toEqual({ B: { subtraction: 1 } });
+      expect(loadMixPresets()).toEqual({ B: { subtraction: 1 } });
+    });
+  });
+});
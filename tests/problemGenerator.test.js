@@ -8,9 +8,56 @@ import {
   generateSubtractionProblem,
   generateThreeNumberProblem,
   generateCountingProblem,
+  generateMissingNumberProblem,
+  generateComparisonProblem,
+  compareNumbers,
+  generateTrueFalseProblem,
+  generateBalancedEquationProblem,
+  generateNumberBondProblem,
+  generatePlaceValueProblem,
+  generateSequenceProblem,
+  generateWordProblem,
+  generateClockProblem,
+  generateMoneyProblem,
+  generateGraphProblem,
+  generateShapeProblem,
+  generateFactFamilyProblem,
+  createFactFamilyProblems,
+  generateStrategyProblem,
+  generateSubitizingProblem,
+  SUBITIZING_PATTERNS,
+  SHAPE_SIDES,
+  GRAPH_QUESTIONS,
+  WORD_PROBLEM_TEMPLATES,
+  WORD_PROBLEM_NAMES,
+  WORD_PROBLEM_ITEMS,
+  generateMixedProblem,
+  resolveMixWeights,
   generateProblemByMode,
   updateCurrentProblem,
+  generateSimilarProblem,
+  createEquationProblem,
+  evaluateExpression,
+  needsRegrouping,
+  crossesTen,
+  matchesRegrouping,
+  canRegroupAddition,
+  canRegroupSubtraction,
+  REGROUPING_OPTIONS,
 } from '../src/problemGenerator';
+import {
+  registerProblemType,
+  unregisterProblemType,
+  getProblemType,
+  getProblemTypes,
+  getDifficultySettings,
+  isRegroupingAvailable,
+} from '../src/problemRegistry';
+import { problemToText } from '../src/problemRenderer';
+import { getFactKey } from '../src/problemScheduler';
+import { createRandom } from '../src/utils';
+import enTranslations from '../locales/en.json';
+import jaTranslations from '../locales/ja.json';
 
 // Mock difficulty settings
 const mockDifficultySettings = {
@@ -30,9 +77,123 @@ const mockDifficultySettings = {
     hard: { min1: 10, max1: 25, min2: 5, max2: 15, min3: 5, max3: 15 },
   },
   counting: {
-    easy: { min: 5, max: 10 },
-    medium: { min: 10, max: 20 },
-    hard: { min: 15, max: 30 },
+    easy: { min: 5, max: 10, layouts: ['rows', 'tenFrame', 'dice'] },
+    medium: { min: 10, max: 20, layouts: ['rows', 'tenFrame', 'scattered'] },
+    hard: { min: 15, max: 30, layouts: ['scattered'] },
+  },
+  comparison: {
+    easy: { min: 1, max: 20, equalChance: 0.2, closeChance: 0.2 },
+    medium: { min: 10, max: 99, equalChance: 0.15, closeChance: 0.5 },
+    hard: { min: 10, max: 120, equalChance: 0.1, closeChance: 0.8 },
+  },
+  trueFalse: {
+    easy: { min: 1, max: 10, trueChance: 0.5, offByOneChance: 0.2 },
+    medium: { min: 2, max: 20, trueChance: 0.5, offByOneChance: 0.5 },
+    hard: { min: 5, max: 20, trueChance: 0.5, offByOneChance: 0.9 },
+  },
+  numberBond: {
+    easy: { minWhole: 2, maxWhole: 5, targetWhole: 5, targetChance: 0.5 },
+    medium: { minWhole: 6, maxWhole: 10, targetWhole: 10, targetChance: 0.6 },
+    hard: { minWhole: 11, maxWhole: 20, targetWhole: 20, targetChance: 0.4 },
+  },
+  placeValue: {
+    easy: { min: 10, max: 20 },
+    medium: { min: 10, max: 50 },
+    hard: { min: 20, max: 99 },
+  },
+  sequence: {
+    easy: { min: 1, max: 20, length: 4, steps: [1], directions: ['forward'], alignToStep: true },
+    medium: {
+      min: 1,
+      max: 50,
+      length: 4,
+      steps: [1, 2, 5, 10],
+      directions: ['forward', 'backward'],
+      alignToStep: true,
+    },
+    hard: {
+      min: 1,
+      max: 120,
+      length: 5,
+      steps: [1, 2, 5, 10],
+      directions: ['forward', 'backward'],
+      alignToStep: false,
+    },
+  },
+  shape: {
+    easy: {
+      shapes: ['triangle', 'square', 'rectangle'],
+      questions: ['sides', 'corners'],
+      splits: [2],
+    },
+    medium: {
+      shapes: ['triangle', 'square', 'rectangle', 'pentagon', 'hexagon'],
+      questions: ['sides', 'corners', 'parts', 'split'],
+      splits: [2],
+    },
+    hard: {
+      shapes: ['triangle', 'square', 'rectangle', 'pentagon', 'hexagon'],
+      questions: ['sides', 'corners', 'parts', 'split'],
+      splits: [2, 4],
+    },
+  },
+  graph: {
+    easy: { categories: 2, maxCount: 5, charts: ['picture'], questions: ['howMany', 'total'] },
+    medium: {
+      categories: 3,
+      maxCount: 8,
+      charts: ['picture', 'tally'],
+      questions: ['howMany', 'howManyMore', 'total'],
+    },
+    hard: {
+      categories: 4,
+      maxCount: 10,
+      charts: ['picture', 'tally'],
+      questions: ['howMany', 'howManyMore', 'total'],
+    },
+  },
+  money: {
+    easy: { minCoins: 2, maxCoins: 4, denominations: { usd: [1, 5, 10], jpy: [1, 5, 10] } },
+    medium: {
+      minCoins: 3,
+      maxCoins: 6,
+      denominations: { usd: [1, 5, 10, 25], jpy: [1, 5, 10, 50] },
+    },
+    hard: {
+      minCoins: 4,
+      maxCoins: 8,
+      denominations: { usd: [1, 5, 10, 25, 50], jpy: [1, 5, 10, 50, 100, 500] },
+    },
+  },
+  strategy: {
+    easy: { min: 1, max: 5, strategies: ['double', 'nearDouble'] },
+    medium: {
+      min: 1,
+      max: 10,
+      strategies: ['double', 'nearDouble', 'makeTen'],
+      makeTenAddends: [8, 9],
+    },
+    hard: {
+      min: 5,
+      max: 20,
+      strategies: ['double', 'nearDouble', 'makeTen'],
+      makeTenAddends: [7, 8, 9],
+    },
+  },
+  subitizing: {
+    easy: { min: 1, max: 5, patterns: ['dots', 'fingers'], flashMs: 1500 },
+    medium: { min: 1, max: 10, patterns: ['dots', 'fingers', 'tenFrame'], flashMs: 1000 },
+    hard: { min: 3, max: 10, patterns: ['dots', 'fingers', 'tenFrame'], flashMs: 500 },
+  },
+  clock: {
+    easy: { minutes: [0] },
+    medium: { minutes: [0, 30] },
+    hard: { minutes: [0, 15, 30, 45] },
+  },
+  wordProblem: {
+    easy: { max: 10, unknowns: ['result'] },
+    medium: { max: 20, unknowns: ['result', 'difference'] },
+    hard: { max: 20, unknowns: ['result', 'difference', 'change', 'part', 'bigger'] },
   },
 };
 
@@ -43,14 +204,15 @@ describe('Problem Generator Functions', () => {
 
       expect(result).toEqual(
         expect.objectContaining({
-          originalQuestion: expect.stringMatching(/^\d+ \+ \d+ = \?$/),
-          question: expect.stringMatching(/^\d+ \+ \d+ = \?$/),
+          operands: expect.any(Array),
+          operators: expect.any(Array),
           answer: expect.any(Number),
         })
       );
+      expect(problemToText(result)).toMatch(/^\d+ \+ \d+ = \?$/);
 
       // Verify that the answer is correct
-      const match = result.question.match(/^(\d+) \+ (\d+) = \?$/);
+      const match = problemToText(result).match(/^(\d+) \+ (\d+) = \?$/);
       const num1 = parseInt(match[1]);
       const num2 = parseInt(match[2]);
       expect(result.answer).toBe(num1 + num2);
@@ -59,7 +221,7 @@ describe('Problem Generator Functions', () => {
     test('respects difficulty settings', () => {
       // Test easy difficulty
       const easyResult = generateAdditionProblem('easy', mockDifficultySettings);
-      const easyMatch = easyResult.question.match(/^(\d+) \+ (\d+) = \?$/);
+      const easyMatch = problemToText(easyResult).match(/^(\d+) \+ (\d+) = \?$/);
       const easyNum1 = parseInt(easyMatch[1]);
       const easyNum2 = parseInt(easyMatch[2]);
 
@@ -68,7 +230,7 @@ describe('Problem Generator Functions', () => {
 
       // Test hard difficulty
       const hardResult = generateAdditionProblem('hard', mockDifficultySettings);
-      const hardMatch = hardResult.question.match(/^(\d+) \+ (\d+) = \?$/);
+      const hardMatch = problemToText(hardResult).match(/^(\d+) \+ (\d+) = \?$/);
       const hardNum1 = parseInt(hardMatch[1]);
       const hardNum2 = parseInt(hardMatch[2]);
 
@@ -83,14 +245,15 @@ describe('Problem Generator Functions', () => {
 
       expect(result).toEqual(
         expect.objectContaining({
-          originalQuestion: expect.stringMatching(/^\d+ - \d+ = \?$/),
-          question: expect.stringMatching(/^\d+ - \d+ = \?$/),
+          operands: expect.any(Array),
+          operators: expect.any(Array),
           answer: expect.any(Number),
         })
       );
+      expect(problemToText(result)).toMatch(/^\d+ - \d+ = \?$/);
 
       // Verify that the answer is correct and non-negative
-      const match = result.question.match(/^(\d+) - (\d+) = \?$/);
+      const match = problemToText(result).match(/^(\d+) - (\d+) = \?$/);
       const num1 = parseInt(match[1]);
       const num2 = parseInt(match[2]);
 
@@ -99,20 +262,78 @@ describe('Problem Generator Functions', () => {
     });
   });
 
+  describe('unknown positions', () => {
+    test('puts the unknown in the first operand of an addition problem', () => {
+      const result = generateAdditionProblem('easy', mockDifficultySettings, {
+        unknownPosition: 'first',
+      });
+      const match = problemToText(result).match(/^\? \+ (\d+) = (\d+)$/);
+
+      expect(match).not.toBeNull();
+      expect(result.unknownIndex).toBe(0);
+      expect(result.answer + parseInt(match[1])).toBe(parseInt(match[2]));
+    });
+
+    test('puts the unknown in the second operand of a subtraction problem', () => {
+      const result = generateSubtractionProblem('medium', mockDifficultySettings, {
+        unknownPosition: 'second',
+      });
+      const match = problemToText(result).match(/^(\d+) - \? = (\d+)$/);
+
+      expect(match).not.toBeNull();
+      expect(parseInt(match[1]) - result.answer).toBe(parseInt(match[2]));
+      expect(parseInt(match[2])).toBeGreaterThanOrEqual(0);
+    });
+
+    test('keeps the unknown at the end by default', () => {
+      const result = generateAdditionProblem('easy', mockDifficultySettings);
+      expect(result.unknownIndex).toBe(2);
+      expect(problemToText(result)).toMatch(/= \?$/);
+    });
+
+    test('"any" produces exactly one unknown in a valid position', () => {
+      for (let i = 0; i < 30; i++) {
+        const result = generateAdditionProblem('easy', mockDifficultySettings, {
+          unknownPosition: 'any',
+        });
+        expect(problemToText(result).split('?')).toHaveLength(2);
+        expect([0, 1, 2]).toContain(result.unknownIndex);
+      }
+    });
+  });
+
+  describe('generateMissingNumberProblem', () => {
+    test('always hides one of the operands', () => {
+      for (let i = 0; i < 30; i++) {
+        const result = generateMissingNumberProblem('easy', mockDifficultySettings);
+        const match = problemToText(result).match(/^(\d+|\?) ([+-]) (\d+|\?) = (\d+)$/);
+
+        expect(match).not.toBeNull();
+        expect([0, 1]).toContain(result.unknownIndex);
+
+        const num1 = match[1] === '?' ? result.answer : parseInt(match[1]);
+        const num2 = match[3] === '?' ? result.answer : parseInt(match[3]);
+        const expected = match[2] === '+' ? num1 + num2 : num1 - num2;
+        expect(expected).toBe(parseInt(match[4]));
+      }
+    });
+  });
+
   describe('generateThreeNumberProblem', () => {
     test('creates valid three-number problems', () => {
       const result = generateThreeNumberProblem('easy', mockDifficultySettings);
 
       expect(result).toEqual(
         expect.objectContaining({
-          originalQuestion: expect.stringMatching(/^\d+ [+-] \d+ [+-] \d+ = \?$/),
-          question: expect.stringMatching(/^\d+ [+-] \d+ [+-] \d+ = \?$/),
+          operands: expect.any(Array),
+          operators: expect.any(Array),
           answer: expect.any(Number),
         })
       );
+      expect(problemToText(result)).toMatch(/^\d+ [+-] \d+ [+-] \d+ = \?$/);
 
       // Verify that the answer is correct
-      const match = result.question.match(/^(\d+) ([+-]) (\d+) ([+-]) (\d+) = \?$/);
+      const match = problemToText(result).match(/^(\d+) ([+-]) (\d+) ([+-]) (\d+) = \?$/);
       const num1 = parseInt(match[1]);
       const op1 = match[2];
       const num2 = parseInt(match[3]);
@@ -138,7 +359,7 @@ describe('Problem Generator Functions', () => {
       // Test 50 problems to verify no negative intermediate results
       for (let i = 0; i < 50; i++) {
         const result = generateThreeNumberProblem('medium', mockDifficultySettings);
-        const match = result.question.match(/^(\d+) ([+-]) (\d+) ([+-]) (\d+) = \?$/);
+        const match = problemToText(result).match(/^(\d+) ([+-]) (\d+) ([+-]) (\d+) = \?$/);
         const num1 = parseInt(match[1]);
         const op1 = match[2];
         const num2 = parseInt(match[3]);
@@ -160,42 +381,771 @@ describe('Problem Generator Functions', () => {
 
       expect(result).toEqual(
         expect.objectContaining({
-          originalQuestion: expect.stringMatching(/How many .+\?<br>.+/),
-          question: expect.stringMatching(/How many .+\?<br>.+/),
+          unknownIndex: null,
           answer: expect.any(Number),
+          visual: expect.objectContaining({ type: 'objects', count: result.answer }),
         })
       );
+      expect(problemToText(result)).toMatch(/^How many .+\? .+/);
 
       // Verify the answer is within the expected range
       expect(result.answer).toBeInRange(5, 10);
     });
+
+    test('uses organized layouts on easy and scatters objects on hard', () => {
+      const random = createRandom('layouts');
+      const easy = Array.from({ length: 30 }, () =>
+        generateCountingProblem('easy', mockDifficultySettings, { random })
+      );
+      expect(new Set(easy.map(result => result.visual.layout))).toEqual(
+        new Set(['rows', 'tenFrame', 'dice'])
+      );
+
+      for (let i = 0; i < 20; i++) {
+        const { visual, factKey } = generateCountingProblem('hard', mockDifficultySettings, {
+          random,
+        });
+        expect(visual.layout).toBe('scattered');
+        expect(visual.positions).toHaveLength(visual.count);
+        expect(visual.columns * visual.rows).toBeGreaterThanOrEqual(visual.count);
+        expect(factKey).toBe(`counting:${visual.item}:${visual.count}`);
+
+        // Every object sits inside the field, in a cell of its own
+        const cells = visual.positions.map(({ x, y }) => {
+          expect(x).toBeInRange(0, visual.columns);
+          expect(y).toBeInRange(0, visual.rows);
+          return `${Math.floor(x)},${Math.floor(y)}`;
+        });
+        expect(new Set(cells).size).toBe(visual.count);
+      }
+    });
   });
 
-  describe('generateProblemByMode', () => {
-    test('calls the correct generator based on game mode', () => {
-      // Mock generator functions
-      const mockGenerators = {
-        addition: jest.fn().mockReturnValue({ question: '1 + 1 = ?', answer: 2 }),
-        subtraction: jest.fn().mockReturnValue({ question: '2 - 1 = ?', answer: 1 }),
-        threeNumber: jest.fn().mockReturnValue({ question: '2 + 3 + 4 = ?', answer: 9 }),
-        counting: jest.fn().mockReturnValue({ question: 'Count', answer: 5 }),
+  describe('generateSubitizingProblem', () => {
+    test('flashes a pattern of the answer for the difficulty time', () => {
+      const random = createRandom('flash');
+      ['easy', 'medium', 'hard'].forEach(difficulty => {
+        const settings = mockDifficultySettings.subitizing[difficulty];
+        for (let i = 0; i < 30; i++) {
+          const result = generateSubitizingProblem(difficulty, mockDifficultySettings, { random });
+          expect(result.answer).toBeInRange(settings.min, settings.max);
+          expect(result.flashMs).toBe(settings.flashMs);
+          expect(result.visual.count).toBe(result.answer);
+          expect(problemToText(result)).toMatch(/^How many did you see\? /);
+        }
+      });
+    });
+
+    test('uses the pattern library for dots, fingers and ten frames', () => {
+      expect(SUBITIZING_PATTERNS.dots(4)).toEqual(
+        expect.objectContaining({ type: 'objects', count: 4, layout: 'dice' })
+      );
+      expect(SUBITIZING_PATTERNS.fingers(7)).toEqual({ type: 'fingers', count: 7 });
+      expect(SUBITIZING_PATTERNS.tenFrame(8)).toEqual(
+        expect.objectContaining({ type: 'objects', count: 8, layout: 'tenFrame' })
+      );
+    });
+  });
+
+  describe('generateComparisonProblem', () => {
+    test('asks for the symbol between two numbers in range', () => {
+      const random = createRandom('compare');
+
+      for (let i = 0; i < 100; i++) {
+        const result = generateComparisonProblem('medium', mockDifficultySettings, { random });
+        const [num1, num2] = result.operands;
+
+        expect(num1).toBeInRange(10, 99);
+        expect(num2).toBeInRange(10, 99);
+        expect(result.answer).toBe(compareNumbers(num1, num2));
+        expect(result.operators).toEqual([result.answer]);
+        expect(result.unknownOperatorIndex).toBe(0);
+        expect(result.input).toBe('symbol');
+        expect(problemToText(result)).toBe(`${num1} ☐ ${num2}`);
+      }
+    });
+
+    test('produces all three answers', () => {
+      const random = createRandom('symbols');
+      const answers = new Set();
+
+      for (let i = 0; i < 100; i++) {
+        answers.add(generateComparisonProblem('easy', mockDifficultySettings, { random }).answer);
+      }
+
+      expect([...answers].sort()).toEqual(['<', '=', '>']);
+    });
+
+    test('picks close pairs such as reversed digits on hard', () => {
+      const settings = {
+        comparison: { hard: { min: 10, max: 99, equalChance: 0, closeChance: 1 } },
+      };
+      const random = createRandom('close');
+
+      for (let i = 0; i < 50; i++) {
+        const [num1, num2] = generateComparisonProblem('hard', settings, { random }).operands;
+        const reversed = Number(String(num1).split('').reverse().join(''));
+
+        expect(num1).not.toBe(num2);
+        expect(Math.floor(num1 / 10) === Math.floor(num2 / 10) || num2 === reversed).toBe(true);
+      }
+    });
+  });
+
+  describe('generateBalancedEquationProblem', () => {
+    test('balances both sides with the unknown on the right', () => {
+      const random = createRandom('balanced');
+
+      for (let i = 0; i < 200; i++) {
+        const result = generateBalancedEquationProblem('medium', mockDifficultySettings, {
+          random,
+        });
+        const { operands, operators, unknownIndex, answer } = result;
+
+        expect(operators[1]).toBe('=');
+        expect([2, 3]).toContain(unknownIndex);
+        expect(answer).toBe(operands[unknownIndex]);
+        expect(answer).toBeGreaterThan(0);
+        expect(evaluateExpression(operands.slice(0, 2), operators.slice(0, 1))).toBe(
+          evaluateExpression(operands.slice(2), operators.slice(2))
+        );
+        // Left side follows the threeNumber ranges
+        expect(operands[0]).toBeInRange(5, 15);
+        expect(operands[1]).toBeInRange(1, 10);
+      }
+    });
+
+    test('shows the entered answer in place, before the end of the equation', () => {
+      const random = createRandom('in-place');
+      let result;
+      do {
+        result = generateBalancedEquationProblem('easy', mockDifficultySettings, { random });
+      } while (result.unknownIndex !== 2);
+
+      const [num1, num2, , num3] = result.operands;
+      const [leftOperator, , rightOperator] = result.operators;
+      expect(problemToText(result)).toBe(
+        `${num1} ${leftOperator} ${num2} = ? ${rightOperator} ${num3}`
+      );
+      expect(problemToText(result, { answer: 12 })).toBe(
+        `${num1} ${leftOperator} ${num2} = 12 ${rightOperator} ${num3}`
+      );
+    });
+  });
+
+  describe('generateNumberBondProblem', () => {
+    test.each([
+      ['easy', 2, 5],
+      ['medium', 6, 10],
+      ['hard', 11, 20],
+    ])('builds %s bonds with one missing part', (difficulty, minWhole, maxWhole) => {
+      const random = createRandom(`bond-${difficulty}`);
+
+      for (let i = 0; i < 100; i++) {
+        const result = generateNumberBondProblem(difficulty, mockDifficultySettings, { random });
+        const { whole, parts, missingIndex } = result.visual;
+
+        expect(result.visual.type).toBe('numberBond');
+        expect(whole).toBeInRange(minWhole, maxWhole);
+        expect(parts[0] + parts[1]).toBe(whole);
+        expect(Math.min(...parts)).toBeGreaterThan(0);
+        expect(result.answer).toBe(parts[missingIndex]);
+      }
+    });
+
+    test('asks "what makes 10" for bonds to the target whole', () => {
+      const random = createRandom('make-ten');
+      const results = Array.from({ length: 50 }, () =>
+        generateNumberBondProblem('medium', mockDifficultySettings, { random })
+      );
+      const makeTen = results.filter(
+        result => result.prompt.key === 'app.gameplay.makeWholeQuestion'
+      );
+
+      expect(makeTen.length).toBeGreaterThan(0);
+      makeTen.forEach(result => {
+        const { whole, parts, missingIndex } = result.visual;
+        expect(whole).toBe(10);
+        expect(result.prompt.params).toEqual({ whole: 10, part: parts[1 - missingIndex] });
+        expect(problemToText(result)).toMatch(/^What makes 10 with \d\? 10 = (\d|\?) \+ (\d|\?)$/);
+      });
+    });
+  });
+
+  describe('generatePlaceValueProblem', () => {
+    test('shows base-ten blocks for a number in range', () => {
+      const random = createRandom('blocks');
+      const results = Array.from({ length: 100 }, () =>
+        generatePlaceValueProblem('medium', mockDifficultySettings, { random })
+      ).filter(result => result.visual);
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(result => {
+        const { tens, ones } = result.visual;
+        expect(result.visual.type).toBe('baseTen');
+        expect(result.answer).toBeInRange(10, 50);
+        expect(tens * 10 + ones).toBe(result.answer);
+        expect(result.prompt.key).toBe('app.gameplay.placeValueQuestion');
+      });
+    });
+
+    test('asks for the tens or ones of a number in the reverse variant', () => {
+      const random = createRandom('reverse');
+      const results = Array.from({ length: 100 }, () =>
+        generatePlaceValueProblem('hard', mockDifficultySettings, { random })
+      ).filter(result => !result.visual);
+      const keys = new Set(results.map(result => result.prompt.key));
+
+      expect(keys).toEqual(new Set(['app.gameplay.tensQuestion', 'app.gameplay.onesQuestion']));
+      results.forEach(result => {
+        const { number } = result.prompt.params;
+        expect(number).toBeInRange(20, 99);
+        expect(result.answer).toBe(
+          result.prompt.key === 'app.gameplay.tensQuestion' ? Math.floor(number / 10) : number % 10
+        );
+      });
+      expect(problemToText(results[0])).toMatch(/^How many (tens|ones) are in \d+\?$/);
+    });
+  });
+
+  describe('generateSequenceProblem', () => {
+    test.each([
+      ['easy', 20, [1]],
+      ['medium', 50, [1, 2, 5, 10]],
+      ['hard', 120, [1, 2, 5, 10]],
+    ])('builds %s sequences with a constant step', (difficulty, max, steps) => {
+      const random = createRandom(`sequence-${difficulty}`);
+
+      for (let i = 0; i < 100; i++) {
+        const result = generateSequenceProblem(difficulty, mockDifficultySettings, { random });
+        const { terms, missingIndex } = result.visual;
+        const step = Math.abs(terms[1] - terms[0]);
+
+        expect(result.visual.type).toBe('sequence');
+        expect(steps).toContain(step);
+        terms.forEach((term, index) => {
+          expect(term).toBeInRange(1, max);
+          if (index > 0) {
+            expect(Math.abs(term - terms[index - 1])).toBe(step);
+          }
+        });
+        expect(result.answer).toBe(terms[missingIndex]);
+      }
+    });
+
+    test('counts forward only on easy and both ways on harder levels', () => {
+      const directions = difficulty => {
+        const random = createRandom(`direction-${difficulty}`);
+        return new Set(
+          Array.from({ length: 50 }, () => {
+            const { terms } = generateSequenceProblem(difficulty, mockDifficultySettings, {
+              random,
+            }).visual;
+            return terms[1] > terms[0] ? 'forward' : 'backward';
+          })
+        );
       };
 
-      // Test addition mode
-      generateProblemByMode('easy', mockDifficultySettings, 'addition', mockGenerators);
-      expect(mockGenerators.addition).toHaveBeenCalledWith('easy', mockDifficultySettings);
+      expect(directions('easy')).toEqual(new Set(['forward']));
+      expect(directions('medium')).toEqual(new Set(['forward', 'backward']));
+    });
+
+    test('skip counts from multiples of the step when aligned', () => {
+      const random = createRandom('aligned');
 
-      // Test subtraction mode
-      generateProblemByMode('easy', mockDifficultySettings, 'subtraction', mockGenerators);
-      expect(mockGenerators.subtraction).toHaveBeenCalledWith('easy', mockDifficultySettings);
+      for (let i = 0; i < 100; i++) {
+        const { terms } = generateSequenceProblem('medium', mockDifficultySettings, {
+          random,
+        }).visual;
+        const step = Math.abs(terms[1] - terms[0]);
+        if (step > 1) {
+          terms.forEach(term => expect(term % step).toBe(0));
+        }
+      }
+    });
+
+    test('hides any term of the sequence', () => {
+      const random = createRandom('missing');
+      const missing = new Set(
+        Array.from(
+          { length: 100 },
+          () =>
+            generateSequenceProblem('hard', mockDifficultySettings, { random }).visual.missingIndex
+        )
+      );
+
+      expect(missing).toEqual(new Set([0, 1, 2, 3, 4]));
+    });
+  });
+
+  describe('generateFactFamilyProblem', () => {
+    test('builds the four facts of a family in order', () => {
+      expect(createFactFamilyProblems(3, 5).map(problem => problemToText(problem))).toEqual([
+        '3 + 5 = ?',
+        '5 + 3 = ?',
+        '8 - 3 = ?',
+        '8 - 5 = ?',
+      ]);
+      createFactFamilyProblems(5, 3).forEach(problem => {
+        expect(problem.family).toEqual([3, 5, 8]);
+      });
+    });
 
-      // Test threeNumber mode
-      generateProblemByMode('easy', mockDifficultySettings, 'threeNumber', mockGenerators);
-      expect(mockGenerators.threeNumber).toHaveBeenCalledWith('easy', mockDifficultySettings);
+    test.each(['easy', 'medium', 'hard'])(
+      'picks %s families that fit the addition and subtraction ranges',
+      difficulty => {
+        const random = createRandom(`family-${difficulty}`);
+        const addition = mockDifficultySettings.addition[difficulty];
+        const subtraction = mockDifficultySettings.subtraction[difficulty];
 
-      // Test counting mode
-      generateProblemByMode('easy', mockDifficultySettings, 'counting', mockGenerators);
-      expect(mockGenerators.counting).toHaveBeenCalledWith('easy', mockDifficultySettings);
+        for (let i = 0; i < 50; i++) {
+          const result = generateFactFamilyProblem(difficulty, mockDifficultySettings, { random });
+          const [a, b, whole] = result.operands;
+
+          expect(a).not.toBe(b);
+          expect(a).toBeInRange(addition.min1, addition.max1);
+          expect(b).toBeInRange(addition.min2, addition.max2);
+          expect(whole).toBeInRange(subtraction.min1, subtraction.max1);
+          [a, b].forEach(part => expect(part).toBeInRange(subtraction.min2, subtraction.max2));
+          expect([result, ...result.nextProblems].map(problem => problem.answer)).toEqual([
+            whole,
+            whole,
+            b,
+            a,
+          ]);
+        }
+      }
+    );
+
+    test('marks the queued facts with the source mode', () => {
+      const result = generateProblemByMode('easy', mockDifficultySettings, 'factFamily', {
+        random: createRandom('family-mode'),
+      });
+
+      expect(result.nextProblems).toHaveLength(3);
+      result.nextProblems.forEach(problem => expect(problem.sourceMode).toBe('factFamily'));
+    });
+  });
+
+  describe('generateStrategyProblem', () => {
+    const generateMany = (difficulty, seed, count = 100) => {
+      const random = createRandom(seed);
+      return Array.from({ length: count }, () =>
+        generateStrategyProblem(difficulty, mockDifficultySettings, { random })
+      );
+    };
+
+    test('generates doubles and near doubles within the range', () => {
+      const results = generateMany('easy', 'doubles');
+      results.forEach(result => {
+        const [num1, num2, sum] = result.operands;
+        expect(result.operators).toEqual(['+', '=']);
+        expect(result.unknownIndex).toBe(2);
+        expect(sum).toBe(num1 + num2);
+        [num1, num2].forEach(addend => expect(addend).toBeInRange(1, 5));
+        expect(Math.abs(num1 - num2)).toBe(result.strategy === 'double' ? 0 : 1);
+      });
+      expect(new Set(results.map(result => result.strategy))).toEqual(
+        new Set(['double', 'nearDouble'])
+      );
+    });
+
+    test('make-ten facts cross ten from an addend close to ten', () => {
+      const results = generateMany('hard', 'make-ten', 200).filter(
+        result => result.strategy === 'makeTen'
+      );
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(result => {
+        const [num1, num2, sum] = result.operands;
+        expect([7, 8, 9]).toContain(Math.max(num1, num2));
+        expect(sum).toBeInRange(11, 18);
+      });
+    });
+  });
+
+  describe('generateShapeProblem', () => {
+    const generateMany = (difficulty, seed, count = 100) => {
+      const random = createRandom(seed);
+      return Array.from({ length: count }, () =>
+        generateShapeProblem(difficulty, mockDifficultySettings, { random })
+      );
+    };
+
+    test('asks for the sides or corners of easy shapes', () => {
+      generateMany('easy', 'sides').forEach(result => {
+        expect(['app.gameplay.sidesQuestion', 'app.gameplay.cornersQuestion']).toContain(
+          result.prompt.key
+        );
+        expect(['triangle', 'square', 'rectangle']).toContain(result.visual.shape);
+        expect(result.answer).toBe(SHAPE_SIDES[result.visual.shape]);
+      });
+    });
+
+    test('counts the equal parts of a split shape', () => {
+      const results = generateMany('hard', 'parts').filter(
+        result => result.prompt.key === 'app.gameplay.partsQuestion'
+      );
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(result => {
+        expect(result.visual).toMatchObject({ type: 'shape', equal: true });
+        expect(result.answer).toBe(result.visual.parts);
+      });
+    });
+
+    test('offers one equal split among distractors for "which is split" questions', () => {
+      const results = generateMany('hard', 'split').filter(result => result.input === 'choice');
+      const keys = new Set(results.map(result => result.prompt.key));
+
+      expect(keys).toEqual(
+        new Set(['app.gameplay.halvesQuestion', 'app.gameplay.quartersQuestion'])
+      );
+      results.forEach(result => {
+        const parts = result.prompt.key === 'app.gameplay.halvesQuestion' ? 2 : 4;
+        const correct = result.choices.filter(
+          choice => choice.visual.parts === parts && choice.visual.equal
+        );
+
+        expect(result.choices.map(choice => choice.id)).toEqual(['A', 'B', 'C']);
+        expect(correct).toHaveLength(1);
+        expect(result.answer).toBe(correct[0].id);
+      });
+    });
+
+    test('asks only for halves on medium', () => {
+      generateMany('medium', 'halves')
+        .filter(result => result.input === 'choice')
+        .forEach(result => expect(result.prompt.key).toBe('app.gameplay.halvesQuestion'));
+    });
+  });
+
+  describe('generateGraphProblem', () => {
+    test.each([
+      ['easy', 2, 5],
+      ['medium', 3, 8],
+      ['hard', 4, 10],
+    ])('builds %s datasets of distinct emoji categories', (difficulty, size, maxCount) => {
+      const random = createRandom(`graph-${difficulty}`);
+
+      for (let i = 0; i < 50; i++) {
+        const { categories } = generateGraphProblem(difficulty, mockDifficultySettings, {
+          random,
+        }).visual;
+        const items = categories.map(category => category.item);
+        const counts = categories.map(category => category.count);
+
+        expect(categories).toHaveLength(size);
+        expect(new Set(items).size).toBe(size);
+        expect(new Set(counts).size).toBe(size);
+        counts.forEach(count => expect(count).toBeInRange(1, maxCount));
+      }
+    });
+
+    test('answers each kind of question from the dataset', () => {
+      const random = createRandom('questions');
+      const seen = new Set();
+
+      for (let i = 0; i < 100; i++) {
+        const result = generateGraphProblem('hard', mockDifficultySettings, { random });
+        const counts = Object.fromEntries(
+          result.visual.categories.map(category => [category.item, category.count])
+        );
+        const { key, params } = result.prompt;
+
+        if (key === 'app.gameplay.graphHowMany') {
+          expect(result.answer).toBe(counts[params.item]);
+          seen.add('howMany');
+        } else if (key === 'app.gameplay.graphHowManyMore') {
+          expect(result.answer).toBe(counts[params.more] - counts[params.fewer]);
+          expect(result.answer).toBeGreaterThan(0);
+          seen.add('howManyMore');
+        } else {
+          expect(key).toBe('app.gameplay.graphTotal');
+          expect(result.answer).toBe(Object.values(counts).reduce((a, b) => a + b, 0));
+          seen.add('total');
+        }
+      }
+      expect(seen).toEqual(new Set(GRAPH_QUESTIONS));
+    });
+
+    test('uses only picture graphs on easy', () => {
+      const random = createRandom('charts');
+      const charts = new Set(
+        Array.from(
+          { length: 30 },
+          () => generateGraphProblem('easy', mockDifficultySettings, { random }).visual.chart
+        )
+      );
+      expect(charts).toEqual(new Set(['picture']));
+    });
+  });
+
+  describe('generateMoneyProblem', () => {
+    test.each([
+      ['easy', 2, 4],
+      ['medium', 3, 6],
+      ['hard', 4, 8],
+    ])('totals %s groups of coins', (difficulty, minCoins, maxCoins) => {
+      const random = createRandom(`money-${difficulty}`);
+      const denominations = mockDifficultySettings.money[difficulty].denominations.usd;
+
+      for (let i = 0; i < 50; i++) {
+        const result = generateMoneyProblem(difficulty, mockDifficultySettings, { random });
+        const { coins } = result.visual;
+
+        expect(result.visual).toMatchObject({ type: 'coins', coinSet: 'usd' });
+        expect(coins.length).toBeInRange(minCoins, maxCoins);
+        coins.forEach(coin => expect(denominations).toContain(coin));
+        expect(coins).toEqual([...coins].sort((a, b) => b - a));
+        expect(result.answer).toBe(coins.reduce((total, coin) => total + coin, 0));
+      }
+    });
+
+    test('draws from the requested coin set', () => {
+      const random = createRandom('yen');
+      const values = new Set();
+      for (let i = 0; i < 50; i++) {
+        const result = generateMoneyProblem('hard', mockDifficultySettings, {
+          random,
+          coinSet: 'jpy',
+        });
+        expect(result.visual.coinSet).toBe('jpy');
+        expect(result.prompt.key).toBe('app.money.jpy.question');
+        result.visual.coins.forEach(coin => values.add(coin));
+      }
+
+      expect(values).toEqual(new Set([1, 5, 10, 50, 100, 500]));
+    });
+  });
+
+  describe('generateClockProblem', () => {
+    test.each([
+      ['easy', [0]],
+      ['medium', [0, 30]],
+      ['hard', [0, 15, 30, 45]],
+    ])('shows %s times on a clock', (difficulty, minutes) => {
+      const random = createRandom(`clock-${difficulty}`);
+      const seen = new Set();
+
+      for (let i = 0; i < 100; i++) {
+        const result = generateClockProblem(difficulty, mockDifficultySettings, { random });
+        const { hour, minute } = result.visual;
+
+        expect(result.visual.type).toBe('clock');
+        expect(result.input).toBe('time');
+        expect(hour).toBeInRange(1, 12);
+        expect(minutes).toContain(minute);
+        expect(result.answer).toBe(`${hour}:${String(minute).padStart(2, '0')}`);
+        seen.add(minute);
+      }
+      expect(seen.size).toBe(minutes.length);
+    });
+  });
+
+  describe('generateWordProblem', () => {
+    /**
+     * Solve a word problem from its numbers, the way a child would
+     * @param {Object} problem - Word problem
+     * @return {number} Expected answer
+     */
+    function solveWordProblem(problem) {
+      const { a, b, c } = problem.prompt.params;
+      const [, , situation, id] = problem.prompt.key.split('.');
+      const { unknown } = WORD_PROBLEM_TEMPLATES.find(
+        template => template.situation === situation && template.id === id
+      );
+      if (unknown === 'bigger') return b + c;
+      if (unknown === 'change' || unknown === 'part')
+        return situation === 'takeFrom' ? a - c : c - a;
+      return situation === 'addTo' || situation === 'putTogether' ? a + b : a - b;
+    }
+
+    test.each([
+      ['easy', 10],
+      ['medium', 20],
+      ['hard', 20],
+    ])('builds %s word problems with consistent numbers', (difficulty, max) => {
+      const random = createRandom(`word-${difficulty}`);
+
+      for (let i = 0; i < 100; i++) {
+        const result = generateWordProblem(difficulty, mockDifficultySettings, { random });
+        const { a, b, c, name, other } = result.prompt.params;
+
+        [a, b, c].forEach(value => expect(value).toBeInRange(1, max));
+        expect(name.key).not.toBe(other.key);
+        expect(result.answer).toBe(solveWordProblem(result));
+      }
+    });
+
+    test('covers every situation type on hard and only result unknowns on easy', () => {
+      const keys = difficulty => {
+        const random = createRandom(`situations-${difficulty}`);
+        return new Set(
+          Array.from(
+            { length: 200 },
+            () => generateWordProblem(difficulty, mockDifficultySettings, { random }).prompt.key
+          )
+        );
+      };
+
+      expect(keys('hard').size).toBe(WORD_PROBLEM_TEMPLATES.length);
+      expect(keys('easy')).toEqual(
+        new Set([
+          'app.wordProblems.addTo.getsMore',
+          'app.wordProblems.takeFrom.givesAway',
+          'app.wordProblems.putTogether.altogether',
+        ])
+      );
+    });
+
+    test('renders as a localized story', () => {
+      const result = generateWordProblem('easy', mockDifficultySettings, {
+        random: createRandom('story'),
+      });
+      expect(problemToText(result)).toMatch(/^(Ken|Mia|Sam|Lily) has \d+ [a-z]+/);
+    });
+
+    test.each([
+      ['en', enTranslations],
+      ['ja', jaTranslations],
+    ])('has every template, name and item in %s', (language, translations) => {
+      const { wordProblems } = translations.app;
+
+      WORD_PROBLEM_TEMPLATES.forEach(({ situation, id }) => {
+        expect(typeof wordProblems[situation][id]).toBe('string');
+      });
+      WORD_PROBLEM_NAMES.forEach(name => expect(wordProblems.names[name]).toBeTruthy());
+      WORD_PROBLEM_ITEMS.forEach(item => expect(wordProblems.items[item]).toBeTruthy());
+    });
+  });
+
+  describe('generateTrueFalseProblem', () => {
+    /**
+     * Evaluate both sides of a generated equation
+     * @param {Object} problem - True/false problem
+     * @return {Array<number>} [left value, right value]
+     */
+    function evaluateSides(problem) {
+      const equalsIndex = problem.operators.indexOf('=');
+      return [
+        evaluateExpression(
+          problem.operands.slice(0, equalsIndex + 1),
+          problem.operators.slice(0, equalsIndex)
+        ),
+        evaluateExpression(
+          problem.operands.slice(equalsIndex + 1),
+          problem.operators.slice(equalsIndex + 1)
+        ),
+      ];
+    }
+
+    test('answers true exactly when both sides are equal', () => {
+      const random = createRandom('true-false');
+      const answers = new Set();
+
+      for (let i = 0; i < 200; i++) {
+        const result = generateTrueFalseProblem('medium', mockDifficultySettings, { random });
+        const [left, right] = evaluateSides(result);
+
+        expect(result.operators.filter(operator => operator === '=')).toHaveLength(1);
+        expect(result.answer).toBe(left === right);
+        expect(result.input).toBe('trueFalse');
+        expect(result.unknownIndex).toBeNull();
+        expect(right).toBeGreaterThanOrEqual(0);
+        answers.add(result.answer);
+      }
+
+      expect([...answers].sort()).toEqual([false, true]);
+    });
+
+    test('harder levels make more false equations off by one', () => {
+      const countOffByOne = difficulty => {
+        const random = createRandom(`off-by-one-${difficulty}`);
+        let offByOne = 0;
+        let falseCount = 0;
+        for (let i = 0; i < 400; i++) {
+          const result = generateTrueFalseProblem(difficulty, mockDifficultySettings, { random });
+          if (!result.answer) {
+            const [left, right] = evaluateSides(result);
+            falseCount++;
+            offByOne += Math.abs(left - right) === 1 ? 1 : 0;
+          }
+        }
+        return offByOne / falseCount;
+      };
+
+      expect(countOffByOne('easy')).toBeLessThan(0.4);
+      expect(countOffByOne('hard')).toBeGreaterThan(0.8);
+    });
+
+    test('builds expressions on both sides, including turn-around facts', () => {
+      const random = createRandom('both-sides');
+      const texts = Array.from({ length: 200 }, () =>
+        problemToText(generateTrueFalseProblem('easy', mockDifficultySettings, { random }))
+      );
+
+      expect(texts.some(text => /^Is this true\? \d+ [+-] \d+ = \d+ [+-] \d+$/.test(text))).toBe(
+        true
+      );
+      expect(texts.some(text => /^Is this true\? \d+ = \d+$/.test(text))).toBe(true);
+      expect(
+        texts.some(text => {
+          const match = text.match(/(\d+) \+ (\d+) = (\d+) \+ (\d+)/);
+          return match && match[1] === match[4] && match[2] === match[3];
+        })
+      ).toBe(true);
+    });
+  });
+
+  describe('generateProblemByMode', () => {
+    test('calls the registered generator for the game mode', () => {
+      const generate = jest.fn().mockReturnValue({ question: '1 + 1 = ?', answer: 2 });
+      registerProblemType({
+        id: 'testMode',
+        generate,
+        labelKey: 'app.operations.testMode',
+        difficulties: { easy: {}, medium: {}, hard: {} },
+      });
+
+      try {
+        const options = { unknownPosition: 'first' };
+        const result = generateProblemByMode('easy', mockDifficultySettings, 'testMode', options);
+
+        expect(generate).toHaveBeenCalledWith('easy', mockDifficultySettings, options);
+        expect(result.sourceMode).toBe('testMode');
+      } finally {
+        unregisterProblemType('testMode');
+      }
+    });
+
+    test('generates problems for every built-in mode', () => {
+      const modes = ['addition', 'subtraction', 'threeNumber', 'counting', 'missingNumber'];
+
+      for (const mode of modes) {
+        const result = generateProblemByMode('easy', mockDifficultySettings, mode);
+        expect(result.sourceMode).toBe(mode);
+        expect(result.answer).toEqual(expect.any(Number));
+      }
+    });
+
+    test('falls back to addition for unknown modes', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        const result = generateProblemByMode('easy', mockDifficultySettings, 'noSuchMode');
+        expect(problemToText(result)).toMatch(/^\d+ \+ \d+ = \?$/);
+        expect(warnSpy).toHaveBeenCalled();
+      } finally {
+        warnSpy.mockRestore();
+      }
+    });
+
+    test('passes generation options through to addition and subtraction', () => {
+      const options = { unknownPosition: 'first' };
+      const result = generateProblemByMode('easy', mockDifficultySettings, 'addition', options);
+
+      expect(problemToText(result)).toMatch(/^\? \+ \d+ = \d+$/);
+      expect(result.sourceMode).toBe('addition');
     });
 
     test('handles mixed mode by including threeNumber problems', () => {
@@ -215,14 +1165,14 @@ describe('Problem Generator Functions', () => {
 
           // Count occurrences of each problem type
           if (
-            mixedResult.question.includes('+') &&
-            !mixedResult.question.match(/\d+ \+ \d+ \+ \d+/) &&
-            !mixedResult.question.match(/\d+ \+ \d+ - \d+/)
+            problemToText(mixedResult).includes('+') &&
+            !problemToText(mixedResult).match(/\d+ \+ \d+ \+ \d+/) &&
+            !problemToText(mixedResult).match(/\d+ \+ \d+ - \d+/)
           ) {
             operations.addition++;
-          } else if (mixedResult.question.match(/\d+ - \d+ = \?$/)) {
+          } else if (problemToText(mixedResult).match(/\d+ - \d+ = \?$/)) {
             operations.subtraction++;
-          } else if (mixedResult.question.match(/\d+ [+-] \d+ [+-] \d+/)) {
+          } else if (problemToText(mixedResult).match(/\d+ [+-] \d+ [+-] \d+/)) {
             operations.threeNumber++;
           }
         }
@@ -238,6 +1188,346 @@ describe('Problem Generator Functions', () => {
     });
   });
 
+  describe('regrouping constraints', () => {
+    test('detects carrying and borrowing from the ones digits', () => {
+      expect(needsRegrouping(8, '+', 5)).toBe(true);
+      expect(needsRegrouping(7, '+', 3)).toBe(true);
+      expect(needsRegrouping(12, '+', 5)).toBe(false);
+      expect(needsRegrouping(13, '-', 5)).toBe(true);
+      expect(needsRegrouping(20, '-', 5)).toBe(true);
+      expect(needsRegrouping(18, '-', 5)).toBe(false);
+    });
+
+    test('detects bridging through a ten', () => {
+      expect(crossesTen(8, '+', 5)).toBe(true);
+      expect(crossesTen(7, '+', 3)).toBe(false);
+      expect(crossesTen(13, '-', 5)).toBe(true);
+      expect(crossesTen(20, '-', 5)).toBe(false);
+    });
+
+    test('checks every step of a chain', () => {
+      expect(matchesRegrouping([4, 3, 5], ['+', '+'], 'none')).toBe(false);
+      expect(matchesRegrouping([4, 3, 5], ['+', '+'], 'only')).toBe(true);
+      expect(matchesRegrouping([4, 3, 1], ['+', '+'], 'none')).toBe(true);
+      expect(matchesRegrouping([4, 3, 1], ['+', '+'], 'any')).toBe(true);
+    });
+
+    test.each(['none', 'only', 'crossTen'])(
+      'addition problems respect the %s constraint',
+      regrouping => {
+        for (let i = 0; i < 30; i++) {
+          const result = generateAdditionProblem('medium', mockDifficultySettings, { regrouping });
+          expect(matchesRegrouping(result.operands.slice(0, 2), ['+'], regrouping)).toBe(true);
+        }
+      }
+    );
+
+    test.each(['none', 'only', 'crossTen'])(
+      'subtraction problems respect the %s constraint',
+      regrouping => {
+        for (let i = 0; i < 30; i++) {
+          const result = generateSubtractionProblem('hard', mockDifficultySettings, {
+            regrouping,
+          });
+          expect(matchesRegrouping(result.operands.slice(0, 2), ['-'], regrouping)).toBe(true);
+          expect(result.operands[2]).toBeGreaterThanOrEqual(0);
+        }
+      }
+    );
+
+    test.each(['none', 'only', 'crossTen'])(
+      'three-number problems respect the %s constraint',
+      regrouping => {
+        for (let i = 0; i < 30; i++) {
+          const result = generateThreeNumberProblem('medium', mockDifficultySettings, {
+            regrouping,
+          });
+          const operands = result.operands.slice(0, 3);
+          const operators = result.operators.slice(0, 2);
+          expect(matchesRegrouping(operands, operators, regrouping)).toBe(true);
+          expect(result.answer).toBe(evaluateExpression(operands, operators));
+        }
+      }
+    );
+
+    test('falls back with a warning when the ranges cannot satisfy the constraint', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        // Easy subtraction never crosses ten: the first number is at most 10
+        const result = generateSubtractionProblem('easy', mockDifficultySettings, {
+          regrouping: 'crossTen',
+        });
+        expect(result.answer).toBeGreaterThanOrEqual(0);
+        expect(warnSpy).toHaveBeenCalled();
+      } finally {
+        warnSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('regrouping availability', () => {
+    test('finds whether the number ranges can meet a sub-level', () => {
+      expect(canRegroupAddition('easy', mockDifficultySettings, 'crossTen')).toBe(true);
+      expect(canRegroupSubtraction('easy', mockDifficultySettings, 'crossTen')).toBe(false);
+      expect(canRegroupSubtraction('easy', mockDifficultySettings, 'only')).toBe(true);
+      expect(canRegroupSubtraction('medium', mockDifficultySettings, 'crossTen')).toBe(true);
+    });
+
+    // Every sub-level the regrouping buttons offer, per mode and difficulty
+    const offered = getProblemTypes()
+      .filter(problemType => problemType.supportsRegrouping)
+      .flatMap(problemType =>
+        ['easy', 'medium', 'hard'].flatMap(difficulty =>
+          REGROUPING_OPTIONS.filter(
+            regrouping =>
+              regrouping !== 'any' && isRegroupingAvailable(problemType.id, difficulty, regrouping)
+          ).map(regrouping => [problemType.id, difficulty, regrouping])
+        )
+      );
+
+    test.each(offered)(
+      '%s (%s) meets the offered %s sub-level without falling back',
+      (mode, difficulty, regrouping) => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const options = { regrouping, random: createRandom(`${mode}-${difficulty}`) };
+
+        try {
+          for (let i = 0; i < 30; i++) {
+            const problem = generateProblemByMode(
+              difficulty,
+              getDifficultySettings(),
+              mode,
+              options
+            );
+            // Mixed mode may pick modes that have no sub-levels
+            if (getProblemType(problem.sourceMode).supportsRegrouping) {
+              expect(
+                matchesRegrouping(
+                  problem.operands.slice(0, -1),
+                  problem.operators.slice(0, -1),
+                  regrouping
+                )
+              ).toBe(true);
+            }
+          }
+          expect(warnSpy).not.toHaveBeenCalled();
+        } finally {
+          warnSpy.mockRestore();
+        }
+      }
+    );
+
+    test('does not offer sub-levels that some problems of the mode cannot meet', () => {
+      expect(isRegroupingAvailable('subtraction', 'easy', 'crossTen')).toBe(false);
+      expect(isRegroupingAvailable('missingNumber', 'easy', 'crossTen')).toBe(false);
+      expect(isRegroupingAvailable('mixed', 'easy', 'crossTen')).toBe(false);
+      expect(
+        isRegroupingAvailable('mixed', 'easy', 'crossTen', { mixWeights: { addition: 1 } })
+      ).toBe(true);
+      expect(isRegroupingAvailable('addition', 'easy', 'crossTen')).toBe(true);
+      expect(isRegroupingAvailable('counting', 'easy', 'any')).toBe(false);
+    });
+  });
+
+  describe('seeded generation', () => {
+    const modes = [
+      'addition',
+      'subtraction',
+      'threeNumber',
+      'mixed',
+      'counting',
+      'missingNumber',
+      'comparison',
+      'trueFalse',
+      'balanced',
+      'numberBond',
+      'placeValue',
+      'sequence',
+      'wordProblem',
+      'clock',
+      'money',
+      'graph',
+      'shape',
+      'factFamily',
+      'strategy',
+      'subitizing',
+    ];
+
+    function generateSequence(seed, mode) {
+      const random = createRandom(seed);
+      return Array.from({ length: 25 }, () =>
+        generateProblemByMode('medium', mockDifficultySettings, mode, { random })
+      );
+    }
+
+    test.each(modes)('the same seed reproduces the %s problem sequence', mode => {
+      expect(generateSequence('class-challenge', mode)).toEqual(
+        generateSequence('class-challenge', mode)
+      );
+    });
+
+    test('different seeds produce different sequences', () => {
+      expect(generateSequence(1, 'addition')).not.toEqual(generateSequence(2, 'addition'));
+    });
+
+    test('does not consume Math.random when a random source is given', () => {
+      const mathRandomSpy = jest.spyOn(Math, 'random');
+
+      try {
+        for (const mode of modes) {
+          generateProblemByMode('hard', mockDifficultySettings, mode, {
+            random: createRandom(3),
+            unknownPosition: 'any',
+          });
+        }
+        expect(mathRandomSpy).not.toHaveBeenCalled();
+      } finally {
+        mathRandomSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('weighted mixed mode', () => {
+    test('picks only modes with a positive weight, including counting', () => {
+      const random = createRandom('weights');
+      const mixWeights = { subtraction: 50, counting: 50, addition: 0 };
+      const sourceModes = new Set();
+
+      for (let i = 0; i < 50; i++) {
+        const problem = generateMixedProblem('easy', mockDifficultySettings, {
+          random,
+          mixWeights,
+        });
+        sourceModes.add(problem.sourceMode);
+      }
+
+      expect([...sourceModes].sort()).toEqual(['counting', 'subtraction']);
+    });
+
+    test('follows the weights', () => {
+      const random = createRandom('ratio');
+      const mixWeights = { subtraction: 50, addition: 30, counting: 20 };
+      const counts = { subtraction: 0, addition: 0, counting: 0 };
+
+      for (let i = 0; i < 1000; i++) {
+        const problem = generateMixedProblem('easy', mockDifficultySettings, {
+          random,
+          mixWeights,
+        });
+        counts[problem.sourceMode]++;
+      }
+
+      expect(counts.subtraction).toBeInRange(440, 560);
+      expect(counts.addition).toBeInRange(240, 360);
+      expect(counts.counting).toBeInRange(140, 260);
+    });
+
+    test('keeps the source mode of the picked problem type', () => {
+      const problem = generateProblemByMode('easy', mockDifficultySettings, 'mixed', {
+        mixWeights: { counting: 1 },
+      });
+      expect(problem.sourceMode).toBe('counting');
+    });
+
+    test('ignores unknown modes, mixed itself and unusable weights', () => {
+      const entries = resolveMixWeights({
+        addition: 2,
+        mixed: 5,
+        noSuchMode: 5,
+        subtraction: 'abc',
+        counting: -1,
+      });
+      expect(entries.map(entry => [entry.problemType.id, entry.weight])).toEqual([['addition', 2]]);
+    });
+
+    test('falls back to an even mix of the mixable types', () => {
+      const entries = resolveMixWeights(null);
+      expect(entries.map(entry => entry.problemType.id)).toEqual([
+        'addition',
+        'subtraction',
+        'threeNumber',
+      ]);
+      expect(entries.every(entry => entry.weight === 1)).toBe(true);
+      expect(resolveMixWeights({ addition: 0 })).toEqual(entries);
+    });
+  });
+
+  describe('createEquationProblem', () => {
+    test('builds a structured problem whose answer is the unknown operand', () => {
+      const problem = createEquationProblem([3, 4, 7], ['+', '='], 1, { type: 'custom' });
+
+      expect(problem).toEqual({
+        operands: [3, 4, 7],
+        operators: ['+', '='],
+        unknownIndex: 1,
+        answer: 4,
+        prompt: null,
+        visual: null,
+        type: 'custom',
+      });
+    });
+  });
+
+  describe('evaluateExpression', () => {
+    test('evaluates additions and subtractions left to right', () => {
+      expect(evaluateExpression([5, 3, 2], ['+', '-'])).toBe(6);
+      expect(evaluateExpression([9, 4, 1], ['-', '+'])).toBe(6);
+      expect(evaluateExpression([7], [])).toBe(7);
+    });
+  });
+
+  describe('generateSimilarProblem', () => {
+    test('keeps the mode, operators and unknown but changes the numbers', () => {
+      const random = createRandom('similar');
+      const missed = generateProblemByMode('medium', mockDifficultySettings, 'threeNumber', {
+        random,
+      });
+
+      for (let i = 0; i < 20; i++) {
+        const similar = generateSimilarProblem(missed, 'medium', mockDifficultySettings, {
+          random,
+        });
+        expect(similar.sourceMode).toBe('threeNumber');
+        expect(similar.unknownIndex).toBe(missed.unknownIndex);
+        expect(similar.operators).toEqual(missed.operators);
+        expect(getFactKey(similar)).not.toBe(getFactKey(missed));
+      }
+    });
+
+    test('does not queue the rest of a fact family', () => {
+      const random = createRandom('similar-family');
+      const missed = generateProblemByMode('easy', mockDifficultySettings, 'factFamily', {
+        random,
+      });
+      const similar = generateSimilarProblem(missed, 'easy', mockDifficultySettings, { random });
+
+      expect(similar.sourceMode).toBe('factFamily');
+      expect(similar).not.toHaveProperty('nextProblems');
+    });
+
+    test('follows up every fact of a family with the same fact of a neighbouring family', () => {
+      const random = createRandom('similar-queued');
+      // 3 + 5 = 8, 5 + 3 = 8, 8 - 3 = 5 and 8 - 5 = 3, as served from the queue
+      createFactFamilyProblems(3, 5).forEach((fact, place) => {
+        const missed = { ...fact, sourceMode: 'factFamily' };
+        for (let i = 0; i < 10; i++) {
+          const similar = generateSimilarProblem(missed, 'easy', mockDifficultySettings, {
+            random,
+          });
+          const [small, big] = similar.family;
+
+          expect(similar.sourceMode).toBe('factFamily');
+          expect(similar.operators).toEqual(missed.operators);
+          expect(similar.unknownIndex).toBe(missed.unknownIndex);
+          expect(getFactKey(similar)).not.toBe(getFactKey(missed));
+          expect(Math.abs(small - 3) + Math.abs(big - 5)).toBe(1);
+          expect(similar.operands).toEqual(createFactFamilyProblems(small, big)[place].operands);
+        }
+      });
+    });
+  });
+
   describe('updateCurrentProblem', () => {
     test('updates game state with new problem and resets attempts', () => {
       const gameState = {
@@ -256,6 +1546,9 @@ describe('Problem Generator Functions', () => {
       expect(result).toEqual({
         currentProblem: problem,
         currentProblemAttempts: 0,
+        countedObjects: [],
+        visualHidden: false,
+        workedStep: null,
         otherProperty: 'value',
       });
     });
@@ -0,0 +1,142 @@
+/**
+ * Problem Registry Tests
+ * Tests for registering and looking up problem types
+ */
+
+import {
+  registerProblemType,
+  unregisterProblemType,
+  getProblemType,
+  getProblemTypes,
+  getMixableProblemTypes,
+  getDifficultySettings,
+  DEFAULT_PROBLEM_TYPE_COLOR,
+} from '../src/problemRegistry';
+import '../src/problemGenerator';
+
+const testDifficulties = {
+  easy: { min: 1, max: 2 },
+  medium: { min: 1, max: 5 },
+  hard: { min: 1, max: 9 },
+};
+
+describe('Problem Registry', () => {
+  afterEach(() => {
+    unregisterProblemType('doubling');
+  });
+
+  describe('built-in problem types', () => {
+    test('registers the built-in modes in button order', () => {
+      const ids = getProblemTypes().map(problemType => problemType.id);
+      expect(ids).toEqual([
+        'addition',
+        'subtraction',
+        'threeNumber',
+        'mixed',
+        'counting',
+        'missingNumber',
+        'comparison',
+        'trueFalse',
+        'balanced',
+        'numberBond',
+        'placeValue',
+        'sequence',
+        'wordProblem',
+        'clock',
+        'money',
+        'graph',
+        'shape',
+        'factFamily',
+        'strategy',
+        'subitizing',
+      ]);
+    });
+
+    test('mixes addition, subtraction and threeNumber', () => {
+      const ids = getMixableProblemTypes().map(problemType => problemType.id);
+      expect(ids).toEqual(['addition', 'subtraction', 'threeNumber']);
+    });
+
+    test('builds difficulty settings from the registered types', () => {
+      const settings = getDifficultySettings();
+      expect(settings.addition.easy).toEqual({ min1: 1, max1: 10, min2: 1, max2: 10 });
+      expect(settings.counting.hard).toEqual({ min: 15, max: 30, layouts: ['scattered'] });
+    });
+  });
+
+  describe('registerProblemType', () => {
+    test('registers a new problem type with defaults', () => {
+      const generate = jest.fn();
+      registerProblemType({
+        id: 'doubling',
+        generate,
+        difficulties: testDifficulties,
+        labelKey: 'app.operations.doubling',
+      });
+
+      const problemType = getProblemType('doubling');
+      expect(problemType.generate).toBe(generate);
+      expect(problemType.color).toBe(DEFAULT_PROBLEM_TYPE_COLOR);
+      expect(problemType.includeInMixed).toBe(false);
+      expect(problemType.supportsRunningCount).toBe(false);
+      expect(getDifficultySettings().doubling).toBe(testDifficulties);
+    });
+
+    test('includes new types in mixed mode when requested', () => {
+      registerProblemType({
+        id: 'doubling',
+        generate: jest.fn(),
+        difficulties: testDifficulties,
+        labelKey: 'app.operations.doubling',
+        includeInMixed: true,
+      });
+
+      const ids = getMixableProblemTypes().map(problemType => problemType.id);
+      expect(ids).toContain('doubling');
+    });
+
+    test('rejects duplicate ids', () => {
+      expect(() =>
+        registerProblemType({
+          id: 'addition',
+          generate: jest.fn(),
+          difficulties: testDifficulties,
+          labelKey: 'app.operations.addition',
+        })
+      ).toThrow('Problem type \'addition\' is already registered');
+    });
+
+    test('rejects incomplete definitions', () => {
+      expect(() => registerProblemType({})).toThrow('non-empty string');
+      expect(() =>
+        registerProblemType({ id: 'doubling', difficulties: testDifficulties, labelKey: 'x' })
+      ).toThrow('generate function');
+      expect(() =>
+        registerProblemType({
+          id: 'doubling',
+          generate: jest.fn(),
+          difficulties: { easy: {} },
+          labelKey: 'x',
+        })
+      ).toThrow('easy, medium, hard');
+      expect(() =>
+        registerProblemType({ id: 'doubling', generate: jest.fn(), difficulties: testDifficulties })
+      ).toThrow('labelKey');
+    });
+  });
+
+  describe('unregisterProblemType', () => {
+    test('removes a registered type', () => {
+      registerProblemType({
+        id: 'doubling',
+        generate: jest.fn(),
+        difficulties: testDifficulties,
+        labelKey: 'app.operations.doubling',
+      });
+
+      expect(unregisterProblemType('doubling')).toBe(true);
+      expect(getProblemType('doubling')).toBeUndefined();
+      expect(unregisterProblemType('doubling')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,497 @@
+/**
+ * Problem Renderer Tests
+ * Tests for turning structured problems into DOM nodes and plain text
+ */
+
+import {
+  renderProblem,
+  problemToText,
+  hasInlineUnknown,
+  registerVisualRenderer,
+  renderVisualHint,
+} from '../src/problemRenderer';
+import { createEquationProblem } from '../src/problemGenerator';
+import { setLanguage } from '../src/i18n';
+
+const countingProblem = {
+  operands: [],
+  operators: [],
+  unknownIndex: null,
+  answer: 7,
+  prompt: { key: 'app.gameplay.countingQuestion', params: { item: '🐶' } },
+  visual: { type: 'objects', item: '🐶', count: 7, groupSize: 5 },
+};
+
+describe('Problem Renderer', () => {
+  describe('renderProblem', () => {
+    test('renders an equation as operand, operator and unknown spans', () => {
+      const problem = createEquationProblem([3, 4, 7], ['+', '='], 2);
+      const element = renderProblem(problem);
+
+      const spans = element.querySelectorAll('.problem-equation span');
+      expect(Array.from(spans).map(span => span.className)).toEqual([
+        'operand',
+        'operator',
+        'operand',
+        'operator',
+        'unknown',
+      ]);
+      expect(element.textContent).toBe('3 + 4 = ?');
+    });
+
+    test('shows the given answer in place of the unknown', () => {
+      const problem = createEquationProblem([3, 4, 7], ['+', '='], 1);
+      const element = renderProblem(problem, { answer: '4' });
+
+      expect(element.textContent).toBe('3 + 4 = 7');
+      expect(element.querySelector('.unknown.filled').textContent).toBe('4');
+    });
+
+    test('keeps the placeholder for an empty answer', () => {
+      const problem = createEquationProblem([3, 4, 7], ['+', '='], 0);
+      expect(renderProblem(problem, { answer: '' }).textContent).toBe('? + 4 = 7');
+    });
+
+    test('renders a translated prompt and grouped objects', () => {
+      const element = renderProblem(countingProblem);
+
+      expect(element.querySelector('.problem-prompt').textContent).toBe('How many 🐶?');
+      const rows = element.querySelectorAll('.problem-visual .objects-row');
+      expect(rows).toHaveLength(2);
+      expect(rows[0].querySelectorAll('.object')).toHaveLength(5);
+      expect(rows[1].querySelectorAll('.object')).toHaveLength(2);
+      expect(element.querySelector('.problem-equation')).toBeNull();
+    });
+
+    test('numbers the counted objects in tap order and shows the running count', () => {
+      const element = renderProblem(countingProblem, { counted: [3, 0], runningCount: true });
+
+      const objects = element.querySelectorAll('button.object');
+      expect(objects).toHaveLength(7);
+      expect(objects[3].classList.contains('counted')).toBe(true);
+      expect(objects[3].querySelector('.object-count').textContent).toBe('1');
+      expect(objects[0].querySelector('.object-count').textContent).toBe('2');
+      expect(objects[1].getAttribute('aria-pressed')).toBe('false');
+      expect(element.querySelectorAll('.object.counted')).toHaveLength(2);
+      expect(element.querySelector('.running-count').textContent).toBe('Counted: 2');
+      expect(renderProblem(countingProblem).querySelector('.running-count')).toBeNull();
+    });
+
+    test('fills ten frames in order', () => {
+      const problem = {
+        ...countingProblem,
+        visual: { type: 'objects', item: '🐶', count: 13, layout: 'tenFrame' },
+      };
+
+      const frames = renderProblem(problem).querySelectorAll('.ten-frame');
+      expect(frames).toHaveLength(2);
+      expect(frames[0].querySelectorAll('.ten-frame-cell .object')).toHaveLength(10);
+      expect(frames[1].querySelectorAll('.ten-frame-cell')).toHaveLength(10);
+      expect(frames[1].querySelectorAll('.object')).toHaveLength(3);
+    });
+
+    test('arranges objects as dice faces of up to six', () => {
+      const problem = {
+        ...countingProblem,
+        visual: { type: 'objects', item: '⭐', count: 8, layout: 'dice' },
+      };
+
+      const dice = renderProblem(problem).querySelectorAll('.die');
+      expect(dice).toHaveLength(2);
+      expect(dice[0].querySelectorAll('.object')).toHaveLength(6);
+      const pips = Array.from(dice[1].querySelectorAll('.object')).map(
+        pip => `${pip.style.gridRow}/${pip.style.gridColumn}`
+      );
+      expect(pips).toEqual(['1/1', '3/3']);
+    });
+
+    test('draws fingers on one hand, then a full hand and a second one', () => {
+      const problem = { ...countingProblem, prompt: null, visual: { type: 'fingers', count: 3 } };
+      const svg = renderProblem(problem).querySelector('svg.fingers');
+      expect(svg.querySelectorAll('.hand')).toHaveLength(1);
+      expect(svg.querySelectorAll('.finger.raised')).toHaveLength(3);
+      expect(problemToText(problem)).toBe('Hands holding up 3 fingers');
+
+      const seven = renderProblem({ ...problem, visual: { type: 'fingers', count: 7 } });
+      const hands = seven.querySelectorAll('.hand');
+      expect(hands).toHaveLength(2);
+      expect(hands[0].querySelectorAll('.finger.raised')).toHaveLength(5);
+      expect(hands[1].querySelectorAll('.finger.raised')).toHaveLength(2);
+    });
+
+    test('draws a double ten-frame with added or crossed-out counters', () => {
+      const addition = renderVisualHint({ type: 'tenFrames', first: 8, second: 5, operator: '+' });
+      expect(addition.classList.contains('hint-visual')).toBe(true);
+      expect(addition.querySelectorAll('.frame-cell')).toHaveLength(20);
+      expect(addition.querySelectorAll('.counter.first')).toHaveLength(8);
+      expect(addition.querySelectorAll('.counter.second')).toHaveLength(5);
+      expect(addition.getAttribute('aria-label')).toBe('Ten frames with 8 and 5 counters');
+
+      const subtraction = renderVisualHint({
+        type: 'tenFrames',
+        first: 13,
+        second: 5,
+        operator: '-',
+      });
+      expect(subtraction.querySelectorAll('.counter.first')).toHaveLength(8);
+      expect(subtraction.querySelectorAll('.counter.removed')).toHaveLength(5);
+      expect(subtraction.querySelectorAll('.counter-cross')).toHaveLength(5);
+    });
+
+    test('draws one arc per number-line hop without labelling the landing point', () => {
+      const visual = { type: 'numberLine', start: 23, hops: [10, 10, 5], min: 20, max: 50 };
+      const svg = renderVisualHint(visual);
+
+      expect(svg.querySelectorAll('.tick')).toHaveLength(31);
+      expect(
+        Array.from(svg.querySelectorAll('.tick-label')).map(label => label.textContent)
+      ).toEqual(['20', '23', '30', '40', '50']);
+      expect(
+        Array.from(svg.querySelectorAll('.hop-label')).map(label => label.textContent)
+      ).toEqual(['+10', '+10', '+5']);
+      expect(svg.querySelectorAll('.hop')[2].getAttribute('style')).toBe('animation-delay: 1.2s');
+      expect(svg.getAttribute('aria-label')).toBe('A number line hopping from 23: +10, +10, +5');
+    });
+
+    test('hides a flashed visual but keeps its space', () => {
+      const visual = renderProblem(countingProblem, { hideVisual: true }).querySelector(
+        '.problem-visual'
+      );
+      expect(visual.classList.contains('visual-hidden')).toBe(true);
+      expect(visual.getAttribute('aria-hidden')).toBe('true');
+      expect(
+        renderProblem(countingProblem).querySelector('.problem-visual.visual-hidden')
+      ).toBeNull();
+    });
+
+    test('places scattered objects at their positions', () => {
+      const problem = {
+        ...countingProblem,
+        visual: {
+          type: 'objects',
+          item: '⭐',
+          count: 2,
+          layout: 'scattered',
+          columns: 4,
+          rows: 2,
+          positions: [
+            { x: 0.5, y: 0.5 },
+            { x: 3, y: 1.5 },
+          ],
+        },
+      };
+
+      const objects = renderProblem(problem).querySelectorAll('.objects-field .object');
+      expect(objects[0].style.left).toBe('12.5%');
+      expect(objects[0].style.top).toBe('25%');
+      expect(objects[1].style.left).toBe('75%');
+      expect(objects[1].style.top).toBe('75%');
+      expect(problemToText(problem)).toBe('How many 🐶? ⭐ ⭐');
+    });
+
+    test('renders an unknown operator with a box placeholder', () => {
+      const problem = createEquationProblem([23, 32], ['<'], null, {
+        unknownOperatorIndex: 0,
+        answer: '<',
+      });
+
+      expect(renderProblem(problem).textContent).toBe('23 ☐ 32');
+      const filled = renderProblem(problem, { answer: '>' });
+      expect(filled.textContent).toBe('23 > 32');
+      expect(filled.querySelector('.unknown.filled').textContent).toBe('>');
+    });
+
+    test('renders a number bond as an SVG diagram with the answer in place', () => {
+      const problem = {
+        ...countingProblem,
+        prompt: null,
+        answer: 4,
+        visual: { type: 'numberBond', whole: 10, parts: [6, 4], missingIndex: 1 },
+      };
+
+      const svg = renderProblem(problem).querySelector('svg.problem-visual');
+      expect(svg).not.toBeNull();
+      expect(svg.getAttribute('aria-label')).toBe('10 = 6 + ?');
+      expect(Array.from(svg.querySelectorAll('text')).map(text => text.textContent)).toEqual([
+        '10',
+        '6',
+        '?',
+      ]);
+
+      const filled = renderProblem(problem, { answer: '4' }).querySelector('svg');
+      expect(filled.querySelector('.bond-unknown.filled')).not.toBeNull();
+      expect(filled.querySelectorAll('text')[2].textContent).toBe('4');
+      expect(problemToText(problem, { answer: 4 })).toBe('10 = 6 + 4');
+      expect(hasInlineUnknown(problem)).toBe(true);
+    });
+
+    test('renders base-ten blocks as rods of ten and unit cubes', () => {
+      const problem = {
+        ...countingProblem,
+        prompt: null,
+        answer: 47,
+        visual: { type: 'baseTen', tens: 4, ones: 7 },
+      };
+
+      const svg = renderProblem(problem).querySelector('svg.base-ten');
+      const rods = svg.querySelectorAll('.base-ten-rod');
+      expect(rods).toHaveLength(4);
+      rods.forEach(rod => expect(rod.querySelectorAll('rect')).toHaveLength(10));
+      expect(svg.querySelectorAll('.base-ten-unit')).toHaveLength(7);
+      expect(problemToText(problem)).toBe('4 tens and 7 ones');
+      expect(hasInlineUnknown(problem)).toBe(false);
+    });
+
+    test('renders a sequence with the answer in place of the missing term', () => {
+      const problem = {
+        ...countingProblem,
+        prompt: null,
+        answer: 30,
+        visual: { type: 'sequence', terms: [10, 20, 30, 40], missingIndex: 2 },
+      };
+
+      const sequence = renderProblem(problem).querySelector('.sequence');
+      expect(sequence.textContent).toBe('10, 20, ?, 40');
+      expect(sequence.querySelector('.unknown').textContent).toBe('?');
+      expect(
+        renderProblem(problem, { answer: 30 }).querySelector('.unknown.filled').textContent
+      ).toBe('30');
+      expect(problemToText(problem, { answer: 30 })).toBe('10, 20, 30, 40');
+      expect(hasInlineUnknown(problem)).toBe(true);
+    });
+
+    test('renders an analog clock without giving the time away', () => {
+      const problem = {
+        ...countingProblem,
+        prompt: null,
+        answer: '3:30',
+        visual: { type: 'clock', hour: 3, minute: 30 },
+      };
+
+      const svg = renderProblem(problem).querySelector('svg.clock');
+      const numbers = Array.from(svg.querySelectorAll('.clock-number')).map(n => n.textContent);
+      expect(numbers).toEqual(['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']);
+
+      // The minute hand points straight down, the hour hand half way between 3 and 4
+      const minuteHand = svg.querySelector('.minute-hand');
+      expect(minuteHand.getAttribute('x2')).toBe('100');
+      expect(Number(minuteHand.getAttribute('y2'))).toBeGreaterThan(100);
+      const hourHand = svg.querySelector('.hour-hand');
+      const angle = Math.atan2(
+        Number(hourHand.getAttribute('x2')) - 100,
+        100 - Number(hourHand.getAttribute('y2'))
+      );
+      expect((angle * 180) / Math.PI).toBeCloseTo(105);
+
+      expect(problemToText(problem)).toBe(
+        'A clock with the long hand on 6 and the short hand between 3 and 4'
+      );
+      expect(problemToText({ ...problem, visual: { type: 'clock', hour: 12, minute: 0 } })).toBe(
+        'A clock with the long hand on 12 and the short hand on 12'
+      );
+      expect(hasInlineUnknown(problem)).toBe(false);
+    });
+
+    test('renders coins sized and colored after the real ones', () => {
+      const problem = {
+        ...countingProblem,
+        prompt: { key: 'app.money.usd.question', params: {} },
+        answer: 36,
+        visual: { type: 'coins', coinSet: 'usd', coins: [25, 10, 1] },
+      };
+
+      const svg = renderProblem(problem).querySelector('svg.coins');
+      const coins = Array.from(svg.querySelectorAll('.coin'));
+      expect(coins.map(coin => coin.getAttribute('class'))).toEqual([
+        'coin silver',
+        'coin silver',
+        'coin copper',
+      ]);
+      expect(coins.map(coin => coin.querySelector('circle').getAttribute('r'))).toEqual([
+        '24',
+        '18',
+        '19',
+      ]);
+      expect(problemToText(problem)).toBe('How many cents in all? 25¢, 10¢, 1¢');
+
+      setLanguage('ja');
+      try {
+        const yen = {
+          ...problem,
+          prompt: { key: 'app.money.jpy.question', params: {} },
+          visual: { type: 'coins', coinSet: 'jpy', coins: [100, 10] },
+        };
+        expect(problemToText(yen)).toBe('ぜんぶで何円ですか？ 100円, 10円');
+      } finally {
+        setLanguage('en');
+      }
+    });
+
+    test('renders picture graphs and tally charts', () => {
+      const categories = [
+        { item: '🐶', count: 7 },
+        { item: '🐱', count: 3 },
+      ];
+      const problem = {
+        ...countingProblem,
+        prompt: { key: 'app.gameplay.graphHowManyMore', params: { more: '🐶', fewer: '🐱' } },
+        answer: 4,
+        visual: { type: 'graph', chart: 'picture', categories },
+      };
+
+      const picture = renderProblem(problem).querySelector('svg.picture-graph');
+      const rows = picture.querySelectorAll('.graph-row');
+      expect(rows).toHaveLength(2);
+      expect(rows[0].querySelectorAll('.graph-picture')).toHaveLength(7);
+      expect(rows[1].querySelectorAll('.graph-picture')).toHaveLength(3);
+      expect(problemToText(problem)).toBe('How many more 🐶 than 🐱? 🐶: 7, 🐱: 3');
+
+      const tally = renderProblem({
+        ...problem,
+        visual: { ...problem.visual, chart: 'tally' },
+      }).querySelector('svg.tally-graph');
+      const tallyRows = tally.querySelectorAll('.graph-row');
+      // 7 = one crossed group of five and two more strokes
+      expect(tallyRows[0].querySelectorAll('.tally-mark')).toHaveLength(7);
+      expect(tallyRows[0].querySelectorAll('.tally-cross')).toHaveLength(1);
+      expect(tallyRows[1].querySelectorAll('.tally-cross')).toHaveLength(0);
+    });
+
+    test('draws shapes with their split lines', () => {
+      const shape = visual => ({ ...countingProblem, prompt: null, visual });
+
+      const hexagon = renderProblem(shape({ type: 'shape', shape: 'hexagon', parts: 1 }));
+      expect(hexagon.querySelector('polygon').getAttribute('points').split(' ')).toHaveLength(6);
+      expect(hexagon.querySelectorAll('.shape-split')).toHaveLength(0);
+
+      const quarters = shape({ type: 'shape', shape: 'square', parts: 4, equal: true });
+      const lines = renderProblem(quarters).querySelectorAll('.shape-split');
+      expect(lines).toHaveLength(2);
+      // Equal quarters of the square are cut through its middle
+      expect(lines[0].getAttribute('x1')).toBe('70');
+      expect(lines[1].getAttribute('y1')).toBe('55');
+      expect(problemToText(quarters)).toBe('square split into 4 equal parts');
+
+      const unequal = shape({ type: 'shape', shape: 'circle', parts: 2, equal: false });
+      expect(renderProblem(unequal).querySelector('.shape-split').getAttribute('x1')).not.toBe(
+        '70'
+      );
+      expect(problemToText(unequal)).toBe('circle split into 2 parts that are not equal');
+    });
+
+    test('shows picture choices labelled with their ids and highlights the chosen one', () => {
+      const problem = {
+        operands: [],
+        operators: [],
+        unknownIndex: null,
+        answer: 'B',
+        input: 'choice',
+        prompt: { key: 'app.gameplay.halvesQuestion', params: {} },
+        visual: null,
+        choices: [
+          { id: 'A', visual: { type: 'shape', shape: 'circle', parts: 2, equal: false } },
+          { id: 'B', visual: { type: 'shape', shape: 'square', parts: 2, equal: true } },
+        ],
+      };
+
+      const choices = renderProblem(problem).querySelectorAll('.problem-choice');
+      expect(Array.from(choices).map(choice => choice.dataset.choice)).toEqual(['A', 'B']);
+      expect(choices[0].querySelector('svg.shape')).not.toBeNull();
+      expect(renderProblem(problem, { answer: 'B' }).querySelector('.chosen').dataset.choice).toBe(
+        'B'
+      );
+      expect(problemToText(problem)).toBe(
+        'Which is split into halves? A: circle split into 2 parts that are not equal, ' +
+          'B: square split into 2 equal parts'
+      );
+      expect(hasInlineUnknown(problem)).toBe(true);
+    });
+
+    test('never interprets problem data as HTML', () => {
+      const problem = { ...countingProblem, visual: { ...countingProblem.visual, item: '<b>' } };
+      const element = renderProblem(problem);
+      expect(element.querySelector('b')).toBeNull();
+    });
+  });
+
+  describe('problemToText', () => {
+    test('describes equations and visual problems as plain text', () => {
+      const problem = createEquationProblem([12, 7, 5], ['-', '='], 1);
+      expect(problemToText(problem)).toBe('12 - ? = 5');
+      expect(problemToText(problem, { answer: 7 })).toBe('12 - 7 = 5');
+      expect(
+        problemToText({ ...countingProblem, visual: { ...countingProblem.visual, count: 3 } })
+      ).toBe('How many 🐶? 🐶 🐶 🐶');
+    });
+
+    test('translates prompt params that are themselves translation keys', () => {
+      const problem = {
+        ...countingProblem,
+        prompt: {
+          key: 'app.wordProblems.addTo.getsMore',
+          params: {
+            a: 3,
+            b: 2,
+            name: { key: 'app.wordProblems.names.ken' },
+            items: { key: 'app.wordProblems.items.apples' },
+          },
+        },
+        visual: null,
+      };
+
+      expect(problemToText(problem)).toBe(
+        'Ken has 3 apples and gets 2 more. How many apples does Ken have now?'
+      );
+      setLanguage('ja');
+      try {
+        expect(problemToText(problem)).toBe(
+          'けんはりんごを3こ持っています。2こもらいました。りんごはぜんぶで何こになりましたか？'
+        );
+      } finally {
+        setLanguage('en');
+      }
+    });
+  });
+
+  describe('hasInlineUnknown', () => {
+    test('is true only for problems with an unknown slot', () => {
+      expect(hasInlineUnknown(createEquationProblem([1, 1, 2], ['+', '='], 2))).toBe(true);
+      expect(hasInlineUnknown(countingProblem)).toBe(false);
+      expect(
+        hasInlineUnknown(createEquationProblem([2, 3], ['<'], null, { unknownOperatorIndex: 0 }))
+      ).toBe(true);
+    });
+  });
+
+  describe('registerVisualRenderer', () => {
+    test('renders custom visual types', () => {
+      registerVisualRenderer('stars', {
+        render: visual => {
+          const element = document.createElement('div');
+          element.textContent = '*'.repeat(visual.count);
+          return element;
+        },
+        describe: visual => `${visual.count} stars`,
+      });
+
+      const problem = { ...countingProblem, prompt: null, visual: { type: 'stars', count: 3 } };
+      const element = renderProblem(problem);
+
+      expect(element.querySelector('.problem-visual').textContent).toBe('***');
+      expect(problemToText(problem)).toBe('3 stars');
+    });
+
+    test('rejects incomplete renderers', () => {
+      expect(() => registerVisualRenderer('broken', { render: () => null })).toThrow(
+        'render and describe'
+      );
+    });
+
+    test('throws for unknown visual types', () => {
+      const problem = { ...countingProblem, visual: { type: 'missing' } };
+      expect(() => renderProblem(problem)).toThrow(
+        'No renderer registered for visual type \'missing\''
+      );
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Problem Scheduler Tests
+ * Tests for avoiding repeated facts within a session
+ */
+
+import {
+  createSchedulerState,
+  scheduleProblem,
+  recordProblem,
+  getFactKey,
+  DEFAULT_RECENT_WINDOW,
+} from '../src/problemScheduler';
+import { createEquationProblem, generateProblemByMode } from '../src/problemGenerator';
+import { getDifficultySettings } from '../src/problemRegistry';
+import { createRandom } from '../src/utils';
+
+/**
+ * Serve a number of problems from a generator, threading the scheduler state
+ * @param {Function} generate - Candidate generator
+ * @param {number} count - Number of problems to serve
+ * @param {Object} [options] - Scheduling options
+ * @return {Array<Object>} Served problems
+ */
+function serveProblems(generate, count, options) {
+  let schedulerState = createSchedulerState();
+  const problems = [];
+  for (let i = 0; i < count; i++) {
+    const scheduled = scheduleProblem(schedulerState, generate, options);
+    problems.push(scheduled.problem);
+    schedulerState = scheduled.schedulerState;
+  }
+  return problems;
+}
+
+describe('Problem Scheduler', () => {
+  describe('getFactKey', () => {
+    test('treats commutative additions as the same fact', () => {
+      const first = createEquationProblem([2, 3, 5], ['+', '='], 2);
+      const swapped = createEquationProblem([3, 2, 5], ['+', '='], 2);
+      const missing = createEquationProblem([3, 2, 5], ['+', '='], 0);
+
+      expect(getFactKey(first)).toBe(getFactKey(swapped));
+      expect(getFactKey(first)).toBe(getFactKey(missing));
+    });
+
+    test('keeps operand order for subtraction and mixed expressions', () => {
+      const subtraction = createEquationProblem([5, 3, 2], ['-', '='], 2);
+      const reversed = createEquationProblem([5, 2, 3], ['-', '='], 2);
+      const mixed = createEquationProblem([4, 3, 2, 5], ['+', '-', '='], 3);
+      const reordered = createEquationProblem([3, 4, 2, 5], ['+', '-', '='], 3);
+
+      expect(getFactKey(subtraction)).not.toBe(getFactKey(reversed));
+      expect(getFactKey(mixed)).not.toBe(getFactKey(reordered));
+    });
+
+    test('uses the whole sentence when both sides have terms', () => {
+      const balanced = createEquationProblem([5, 2, 3, 4], ['+', '=', '+'], 2);
+      const otherRight = createEquationProblem([5, 2, 1, 6], ['+', '=', '+'], 2);
+      const comparison = createEquationProblem([23, 32], ['<'], null, { unknownOperatorIndex: 0 });
+
+      expect(getFactKey(balanced)).not.toBe(getFactKey(otherRight));
+      expect(getFactKey(comparison)).toBe('23<32');
+    });
+
+    test('keeps the shown result of true/false sentences', () => {
+      const right = createEquationProblem([4, 1, 5], ['+', '='], null, { answer: true });
+      const wrong = createEquationProblem([4, 1, 6], ['+', '='], null, { answer: false });
+      const swapped = createEquationProblem([1, 4, 5], ['+', '='], null, { answer: true });
+      const equal = createEquationProblem([6, 6], ['='], null, { answer: true });
+      const unequal = createEquationProblem([6, 7], ['='], null, { answer: false });
+      const difference = createEquationProblem([9, 4, 5], ['-', '='], null, { answer: true });
+      const wrongDifference = createEquationProblem([9, 4, 3], ['-', '='], null, { answer: false });
+
+      expect(getFactKey(right)).not.toBe(getFactKey(wrong));
+      expect(getFactKey(right)).toBe(getFactKey(swapped));
+      expect(getFactKey(equal)).not.toBe(getFactKey(unequal));
+      expect(getFactKey(difference)).not.toBe(getFactKey(wrongDifference));
+    });
+
+    test('serves every true/false statement before repeating one', () => {
+      const statements = [
+        [
+          [4, 1, 5],
+          ['+', '='],
+        ],
+        [
+          [4, 1, 6],
+          ['+', '='],
+        ],
+        [[6, 6], ['=']],
+        [[6, 7], ['=']],
+      ];
+      let next = 0;
+      const generate = () => {
+        const [operands, operators] = statements[next++ % statements.length];
+        return createEquationProblem(operands, operators, null);
+      };
+
+      const served = serveProblems(generate, 4).map(problem => problem.operands);
+      expect(served).toEqual(statements.map(([operands]) => operands));
+    });
+
+    test('uses factKey when the generator provides one', () => {
+      const problem = createEquationProblem([2, 3, 5], ['+', '='], 2, { factKey: 'custom' });
+      expect(getFactKey(problem)).toBe('custom');
+    });
+
+    test('derives a key for problems without a number sentence', () => {
+      const problem = generateProblemByMode('easy', getDifficultySettings(), 'counting', {
+        random: createRandom('key'),
+      });
+      expect(getFactKey(problem)).toBe(getFactKey({ ...problem }));
+    });
+  });
+
+  describe('scheduleProblem', () => {
+    test('covers the whole fact space before repeating a fact', () => {
+      // 1..3 + 1..3 has six distinct facts once commutative pairs are merged
+      const random = createRandom('cover');
+      const generate = () => {
+        const a = 1 + Math.floor(random() * 3);
+        const b = 1 + Math.floor(random() * 3);
+        return createEquationProblem([a, b, a + b], ['+', '='], 2);
+      };
+
+      const keys = serveProblems(generate, 6).map(getFactKey);
+      expect(new Set(keys).size).toBe(6);
+    });
+
+    test('starts a new cycle without repeating the most recent facts', () => {
+      const facts = [1, 2, 3, 4, 5, 6, 7, 8];
+      const random = createRandom('cycle');
+      const generate = () => {
+        const a = facts[Math.floor(random() * facts.length)];
+        return createEquationProblem([a, 1, a + 1], ['+', '='], 2);
+      };
+
+      const keys = serveProblems(generate, 20, { recentWindow: 3 }).map(getFactKey);
+      keys.forEach((key, index) => {
+        expect(keys.slice(Math.max(0, index - 3), index)).not.toContain(key);
+      });
+      expect(new Set(keys.slice(0, facts.length)).size).toBe(facts.length);
+    });
+
+    test('still serves a problem when only one fact exists', () => {
+      const generate = jest.fn(() => createEquationProblem([1, 1, 2], ['+', '='], 2));
+      const problems = serveProblems(generate, 3, { maxAttempts: 5 });
+
+      expect(problems).toHaveLength(3);
+      problems.forEach(problem => expect(problem.answer).toBe(2));
+    });
+
+    test('serves queued problems in order before generating new ones', () => {
+      const first = createEquationProblem([3, 5, 8], ['+', '='], 2);
+      const next = [
+        createEquationProblem([5, 3, 8], ['+', '='], 2),
+        createEquationProblem([8, 3, 5], ['-', '='], 2),
+      ];
+      const generate = jest
+        .fn()
+        .mockReturnValueOnce({ ...first, nextProblems: next })
+        .mockReturnValue(createEquationProblem([1, 1, 2], ['+', '='], 2));
+
+      const problems = serveProblems(generate, 4);
+
+      expect(problems.slice(0, 3)).toEqual([first, ...next]);
+      expect(problems[0]).not.toHaveProperty('nextProblems');
+      expect(problems[3].operands).toEqual([1, 1, 2]);
+      expect(generate).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not modify the previous scheduler state', () => {
+      const schedulerState = createSchedulerState();
+      const generate = () => createEquationProblem([1, 2, 3], ['+', '='], 2);
+      const { schedulerState: next } = scheduleProblem(schedulerState, generate);
+
+      expect(schedulerState.recentKeys).toEqual([]);
+      expect(schedulerState.cycleKeys).toEqual([]);
+      expect(next.cycleKeys).toEqual([getFactKey(generate())]);
+    });
+
+    test('keeps at most the recent window of keys', () => {
+      let value = 0;
+      const generate = () => {
+        value++;
+        return createEquationProblem([value, 1, value + 1], ['+', '='], 2);
+      };
+      let schedulerState = createSchedulerState();
+      for (let i = 0; i < DEFAULT_RECENT_WINDOW + 3; i++) {
+        schedulerState = scheduleProblem(schedulerState, generate).schedulerState;
+      }
+
+      expect(schedulerState.recentKeys).toHaveLength(DEFAULT_RECENT_WINDOW);
+      expect(schedulerState.cycleKeys).toHaveLength(DEFAULT_RECENT_WINDOW + 3);
+    });
+
+    test('does not serve a recorded follow-up fact again right after', () => {
+      // Offers 1 + 2 first, then 1 + 3
+      let next = 0;
+      const generate = () => {
+        const addend = next++ % 2 ? 3 : 2;
+        return createEquationProblem([1, addend, 1 + addend], ['+', '='], 2);
+      };
+      const first = createEquationProblem([1, 1, 2], ['+', '='], 2, {
+        nextProblems: [createEquationProblem([2, 1, 1], ['-', '='], 2)],
+      });
+      let { schedulerState } = scheduleProblem(createSchedulerState(), () => first);
+
+      // A follow-up of 1 + 2 is served outside the scheduler and recorded
+      const followUp = createEquationProblem([1, 2, 3], ['+', '='], 2);
+      schedulerState = recordProblem(schedulerState, followUp);
+      expect(schedulerState.recentKeys).toContain(getFactKey(followUp));
+
+      // The queued fact still comes next, then 1 + 2 is not repeated
+      const queued = scheduleProblem(schedulerState, generate);
+      expect(queued.problem.operands).toEqual([2, 1, 1]);
+      const after = scheduleProblem(queued.schedulerState, generate);
+      expect(after.problem.operands).toEqual([1, 3, 4]);
+    });
+
+    test('avoids repeats for real easy addition sessions', () => {
+      const options = { random: createRandom('session') };
+      const generate = () =>
+        generateProblemByMode('easy', getDifficultySettings(), 'addition', options);
+
+      const keys = serveProblems(generate, 10).map(getFactKey);
+      expect(new Set(keys).size).toBe(10);
+    });
+  });
+});
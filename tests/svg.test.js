@@ -0,0 +1,44 @@
+/**
+ * SVG Helper Tests
+ * Tests for building inline SVG elements
+ */
+
+import { createSvg, createSvgElement, createSvgText, SVG_NAMESPACE } from '../src/svg';
+
+describe('SVG Helpers', () => {
+  describe('createSvgElement', () => {
+    test('creates namespaced elements with attributes and text', () => {
+      const circle = createSvgElement('circle', { cx: 10, cy: 20, r: 5, class: 'dot' });
+      expect(circle.namespaceURI).toBe(SVG_NAMESPACE);
+      expect(circle.getAttribute('cx')).toBe('10');
+      expect(circle.getAttribute('class')).toBe('dot');
+
+      const text = createSvgElement('text', {}, '<b>7</b>');
+      expect(text.textContent).toBe('<b>7</b>');
+      expect(text.querySelector('b')).toBeNull();
+    });
+  });
+
+  describe('createSvg', () => {
+    test('creates an accessible, scalable root element', () => {
+      const svg = createSvg(200, 100, '3 + 4', 'diagram');
+
+      expect(svg.tagName).toBe('svg');
+      expect(svg.getAttribute('viewBox')).toBe('0 0 200 100');
+      expect(svg.getAttribute('role')).toBe('img');
+      expect(svg.getAttribute('aria-label')).toBe('3 + 4');
+      expect(svg.getAttribute('class')).toBe('diagram');
+    });
+  });
+
+  describe('createSvgText', () => {
+    test('centers text on the given point', () => {
+      const text = createSvgText(50, 60, 9, { class: 'label' });
+
+      expect(text.getAttribute('x')).toBe('50');
+      expect(text.getAttribute('text-anchor')).toBe('middle');
+      expect(text.getAttribute('class')).toBe('label');
+      expect(text.textContent).toBe('9');
+    });
+  });
+});
@@ -4,7 +4,18 @@
  */
 
 // Import utility functions for testing
-import { getRandomNumber, getRandomDifficulty, formatTime } from '../src/utils';
+import {
+  getRandomNumber,
+  getRandomItem,
+  getRandomSample,
+  getWeightedRandomItem,
+  getRandomDifficulty,
+  formatTime,
+  formatClockTime,
+  createRandom,
+  hashSeed,
+  generateSeed,
+} from '../src/utils';
 
 describe('Utility Functions', () => {
   describe('getRandomNumber', () => {
@@ -28,6 +39,90 @@ describe('Utility Functions', () => {
       const result = getRandomNumber(1, 10);
       expect(Number.isInteger(result)).toBe(true);
     });
+
+    test('uses the given random source', () => {
+      expect(getRandomNumber(1, 10, () => 0)).toBe(1);
+      expect(getRandomNumber(1, 10, () => 0.999)).toBe(10);
+    });
+  });
+
+  describe('getRandomItem', () => {
+    test('picks items using the given random source', () => {
+      expect(getRandomItem(['a', 'b', 'c'], () => 0)).toBe('a');
+      expect(getRandomItem(['a', 'b', 'c'], () => 0.5)).toBe('b');
+    });
+  });
+
+  describe('getRandomSample', () => {
+    test('picks distinct items without changing the source array', () => {
+      const items = ['a', 'b', 'c', 'd'];
+      const sample = getRandomSample(items, 3, createRandom('sample'));
+
+      expect(sample).toHaveLength(3);
+      expect(new Set(sample).size).toBe(3);
+      sample.forEach(item => expect(items).toContain(item));
+      expect(items).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    test('returns every item when asked for more than there are', () => {
+      expect(getRandomSample(['a', 'b'], 5, () => 0)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('getWeightedRandomItem', () => {
+    test('picks items in proportion to their weights', () => {
+      const items = ['a', 'b', 'c'];
+      const weights = [5, 3, 2];
+
+      expect(getWeightedRandomItem(items, weights, () => 0)).toBe('a');
+      expect(getWeightedRandomItem(items, weights, () => 0.49)).toBe('a');
+      expect(getWeightedRandomItem(items, weights, () => 0.5)).toBe('b');
+      expect(getWeightedRandomItem(items, weights, () => 0.8)).toBe('c');
+      expect(getWeightedRandomItem(items, weights, () => 0.999)).toBe('c');
+    });
+
+    test('never picks items without a positive weight', () => {
+      expect(getWeightedRandomItem(['a', 'b', 'c'], [0, 1, -1], () => 0)).toBe('b');
+      expect(getWeightedRandomItem(['a', 'b'], [0, 0], () => 0.5)).toBeUndefined();
+    });
+  });
+
+  describe('createRandom', () => {
+    test('produces the same sequence for the same seed', () => {
+      const first = createRandom(12345);
+      const second = createRandom(12345);
+      const sequence = Array.from({ length: 20 }, () => first());
+
+      expect(Array.from({ length: 20 }, () => second())).toEqual(sequence);
+    });
+
+    test('produces different sequences for different seeds', () => {
+      const first = createRandom(1);
+      const second = createRandom(2);
+      expect(first()).not.toBe(second());
+    });
+
+    test('returns numbers in [0, 1)', () => {
+      const random = createRandom('range-check');
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    test('accepts string seeds', () => {
+      expect(createRandom('class-3b')()).toBe(createRandom('class-3b')());
+      expect(hashSeed('123')).not.toBe(hashSeed('124'));
+      expect(hashSeed(42)).toBe(42);
+    });
+  });
+
+  describe('generateSeed', () => {
+    test('returns a six-digit string', () => {
+      expect(generateSeed()).toMatch(/^\d{6}$/);
+      expect(generateSeed(createRandom(7))).toBe(generateSeed(createRandom(7)));
+    });
   });
 
   describe('getRandomDifficulty', () => {
@@ -40,6 +135,11 @@ describe('Utility Functions', () => {
         expect(validDifficulties).toContain(result);
       }
     });
+
+    test('uses the given random source', () => {
+      expect(getRandomDifficulty(() => 0)).toBe('medium');
+      expect(getRandomDifficulty(() => 0.9)).toBe('hard');
+    });
   });
 
   describe('formatTime', () => {
@@ -56,4 +156,12 @@ describe('Utility Functions', () => {
       expect(formatTime(-10)).toBe('0:00');
     });
   });
+
+  describe('formatClockTime', () => {
+    test('formats a time of day as H:MM', () => {
+      expect(formatClockTime(3, 0)).toBe('3:00');
+      expect(formatClockTime(12, 30)).toBe('12:30');
+      expect(formatClockTime(7, 5)).toBe('7:05');
+    });
+  });
 });